@@ -15,6 +15,15 @@ const performanceRoutes = require('./routes/performance');
 const healthRoutes = require('./routes/health');
 const reportRoutes = require('./routes/reports');
 const integrationRoutes = require('./routes/integration');
+const normRoutes = require('./routes/norms');
+const protocolRoutes = require('./routes/protocols');
+const bodyCompositionRoutes = require('./routes/bodyComposition');
+const goalRoutes = require('./routes/goals');
+const trainingSessionRoutes = require('./routes/trainingSessions');
+const teamRoutes = require('./routes/teams');
+const wellnessRoutes = require('./routes/wellness');
+const PerformanceTest = require('./models/PerformanceTest');
+const HealthMetrics = require('./models/HealthMetrics');
 
 // Initialize express app
 const app = express();
@@ -42,6 +51,8 @@ if (process.env.NODE_ENV !== 'production') {
 app.use(helmet());
 app.use(compression());
 app.use(cors());
+// Batch ingestion carries weeks of records in one request
+app.use('/api/health/batch', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
@@ -53,6 +64,13 @@ mongoose.connect(MONGODB_URI, {
   useUnifiedTopology: true
 })
 .then(() => logger.info('Connected to MongoDB'))
+.then(() => PerformanceTest.ensureSystemTests())
+.then(() => HealthMetrics.backfillDays())
+.then(({ updated, conflicts }) => {
+  if (updated || conflicts) {
+    logger.info(`Backfilled the day of ${updated} health records, ${conflicts} duplicates left without one`);
+  }
+})
 .catch(err => logger.error('MongoDB connection error:', err));
 
 // Add a simple root API route for testing
@@ -68,6 +86,13 @@ app.use('/api/performance', performanceRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/integrations', integrationRoutes);
+app.use('/api/norms', normRoutes);
+app.use('/api/protocols', protocolRoutes);
+app.use('/api/body-composition', bodyCompositionRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/training-sessions', trainingSessionRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/wellness', wellnessRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
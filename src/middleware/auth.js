@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
@@ -52,11 +53,29 @@ const requireRole = (roles) => {
   };
 };
 
+// Platform maintenance for administrators and scheduled jobs, authenticated
+// with the ADMIN_API_KEY secret in the X-Admin-Key header
+const requireAdminKey = (req, res, next) => {
+  const expected = Buffer.from(process.env.ADMIN_API_KEY || '');
+  const provided = Buffer.from(req.header('X-Admin-Key') || '');
+
+  if (!expected.length || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Access denied'
+      }
+    });
+  }
+  next();
+};
+
 const requireProfessional = requireRole(['professional']);
 const requireAthlete = requireRole(['athlete']);
 
 module.exports = {
   auth,
   requireProfessional,
-  requireAthlete
+  requireAthlete,
+  requireAdminKey
 }; 
\ No newline at end of file
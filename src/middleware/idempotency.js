@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+  .digest('hex');
+
+// Honor the Idempotency-Key header: the first request with a key is processed
+// and its response stored, retries with the same key replay that response
+// instead of running the handler again. A retry of a request abandoned
+// mid-processing runs the handler once the key's lease has expired.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        message: `Idempotency key must be at most ${MAX_KEY_LENGTH} characters`
+      }
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        userId: req.user._id,
+        key,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+
+      if (!existing) {
+        return next();
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: {
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency key was already used for a different request'
+          }
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // A processing key is only taken over once its lease has run out
+      record = await IdempotencyKey.takeOverExpired(existing._id);
+      if (!record) {
+        return res.status(409).json({
+          error: {
+            code: 'REQUEST_IN_PROGRESS',
+            message: 'A request with this idempotency key is still being processed'
+          }
+        });
+      }
+    }
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      // Server errors are not stored so the client can retry with the same key
+      const saved = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne({ _id: record._id }, {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: JSON.parse(JSON.stringify(payload))
+        });
+
+      saved.catch(() => {}).then(() => json(payload));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error processing idempotency key'
+      }
+    });
+  }
+};
+
+module.exports = {
+  idempotency
+}; 
\ No newline at end of file
@@ -0,0 +1,58 @@
+const { UNIT_SYSTEMS, toMetric, fromMetric, unitLabels } = require('../utils/units');
+
+// Resolve the unit system from ?units= or the user's settings
+const resolveUnits = (req, res, next) => {
+  const units = req.query.units || (req.user && req.user.settings && req.user.settings.units) || 'metric';
+
+  if (!UNIT_SYSTEMS.includes(units)) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_UNITS',
+        message: `Units must be one of: ${UNIT_SYSTEMS.join(', ')}`
+      }
+    });
+  }
+
+  req.units = units;
+  next();
+};
+
+// Convert a resource at the API boundary: request bodies are converted to
+// canonical metric values and successful responses back to the user's units
+const convertUnits = (resource) => [
+  resolveUnits,
+  (req, res, next) => {
+    if (req.body && typeof req.body === 'object') {
+      toMetric(req.body, resource, req.units);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      if (res.statusCode >= 400 || !payload || typeof payload !== 'object') {
+        return json(payload);
+      }
+
+      const units = unitLabels(resource, req.units);
+
+      if (Array.isArray(payload.data)) {
+        return json({
+          ...payload,
+          data: payload.data.map(document => fromMetric(document, resource, req.units)),
+          units
+        });
+      }
+
+      return json({
+        ...fromMetric(payload, resource, req.units),
+        units
+      });
+    };
+
+    next();
+  }
+];
+
+module.exports = {
+  resolveUnits,
+  convertUnits
+}; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const BodyComposition = require('./BodyComposition');
+const { DENSITY_CONVERSIONS } = require('../utils/bodyFatEquations');
+
+const airDisplacementReadingSchema = new mongoose.Schema({
+  bodyVolume: {
+    type: Number,
+    min: 0
+  },
+  bodyDensity: {
+    type: Number,
+    min: 0
+  },
+  thoracicGasVolume: {
+    type: Number,
+    min: 0
+  },
+  densityConversion: {
+    type: String,
+    enum: Object.keys(DENSITY_CONVERSIONS),
+    default: 'siri'
+  }
+});
+
+const AirDisplacementReading = BodyComposition.discriminator('adp', airDisplacementReadingSchema);
+
+module.exports = AirDisplacementReading; 
\ No newline at end of file
@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const { EQUATIONS, DENSITY_CONVERSIONS, estimateBodyFat } = require('../utils/bodyFatEquations');
+const { calculateSomatotype } = require('../utils/somatotype');
+const { calculateFractionation } = require('../utils/fractionation');
+const { READING_GROUPS, summarizeReadings, calculateTEM } = require('../utils/isak');
+const { calculateDerivedIndices } = require('../utils/derivedIndices');
+const { compareMeasurements } = require('../utils/change');
+
+const tissueSchema = {
+  mass: {
+    type: Number
+  },
+  percentage: {
+    type: Number
+  }
+};
 
 const anthropometricMeasurementSchema = new mongoose.Schema({
   userId: {
@@ -11,6 +26,10 @@ const anthropometricMeasurementSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  protocolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MeasurementProtocol'
+  },
   date: {
     type: Date,
     required: true,
@@ -26,6 +45,10 @@ const anthropometricMeasurementSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  sittingHeight: {
+    type: Number,
+    min: 0
+  },
   skinfolds: {
     triceps: {
       type: Number,
@@ -58,6 +81,14 @@ const anthropometricMeasurementSchema = new mongoose.Schema({
     calf: {
       type: Number,
       min: 0
+    },
+    chest: {
+      type: Number,
+      min: 0
+    },
+    midaxillary: {
+      type: Number,
+      min: 0
     }
   },
   perimeters: {
@@ -88,8 +119,85 @@ const anthropometricMeasurementSchema = new mongoose.Schema({
     calf: {
       type: Number,
       min: 0
+    },
+    flexedArm: {
+      type: Number,
+      min: 0
+    },
+    head: {
+      type: Number,
+      min: 0
+    }
+  },
+  breadths: {
+    humerus: {
+      type: Number,
+      min: 0
+    },
+    femur: {
+      type: Number,
+      min: 0
+    },
+    biacromial: {
+      type: Number,
+      min: 0
+    },
+    biiliocristal: {
+      type: Number,
+      min: 0
+    },
+    wrist: {
+      type: Number,
+      min: 0
+    },
+    transverseChest: {
+      type: Number,
+      min: 0
+    },
+    anteroposteriorChest: {
+      type: Number,
+      min: 0
     }
   },
+  readings: [{
+    group: {
+      type: String,
+      enum: READING_GROUPS,
+      required: true
+    },
+    site: {
+      type: String,
+      required: true,
+      validate: {
+        validator: function(site) {
+          return !!anthropometricMeasurementSchema.path(`${this.group}.${site}`);
+        },
+        message: props => `Unknown measurement site: ${props.value}`
+      }
+    },
+    values: {
+      type: [{
+        type: Number,
+        min: 0
+      }],
+      validate: [values => values.length >= 1 && values.length <= 3, 'Between one and three readings are required']
+    },
+    value: {
+      type: Number
+    },
+    difference: {
+      type: Number
+    },
+    tolerance: {
+      type: Number
+    },
+    exceedsTolerance: {
+      type: Boolean
+    },
+    thirdReadingRequired: {
+      type: Boolean
+    }
+  }],
   bodyFatPercentage: {
     type: Number,
     min: 0,
@@ -99,6 +207,137 @@ const anthropometricMeasurementSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  bodyFatEstimate: {
+    equation: {
+      type: String,
+      enum: Object.keys(EQUATIONS)
+    },
+    conversion: {
+      type: String,
+      enum: Object.keys(DENSITY_CONVERSIONS),
+      default: 'siri'
+    },
+    bodyDensity: {
+      type: Number
+    },
+    value: {
+      type: Number
+    },
+    missingSites: [{
+      type: String
+    }],
+    missingInputs: [{
+      type: String
+    }]
+  },
+  somatotype: {
+    endomorphy: {
+      type: Number
+    },
+    mesomorphy: {
+      type: Number
+    },
+    ectomorphy: {
+      type: Number
+    },
+    x: {
+      type: Number
+    },
+    y: {
+      type: Number
+    }
+  },
+  fractionation: {
+    adipose: tissueSchema,
+    muscle: tissueSchema,
+    bone: tissueSchema,
+    skin: tissueSchema,
+    residual: tissueSchema,
+    predictedMass: {
+      type: Number
+    },
+    massDifference: {
+      type: Number
+    },
+    massDifferencePercentage: {
+      type: Number
+    },
+    missingComponents: [{
+      type: String
+    }]
+  },
+  derived: {
+    bmi: {
+      type: Number
+    },
+    bmiCategory: {
+      type: String
+    },
+    waistRisk: {
+      type: String
+    },
+    waistToHipRatio: {
+      type: Number
+    },
+    waistToHipRisk: {
+      type: String
+    },
+    waistToHeightRatio: {
+      type: Number
+    },
+    waistToHeightRisk: {
+      type: String
+    },
+    sumOf6Skinfolds: {
+      type: Number
+    },
+    sumOf8Skinfolds: {
+      type: Number
+    },
+    correctedArmGirth: {
+      type: Number
+    },
+    correctedThighGirth: {
+      type: Number
+    },
+    correctedCalfGirth: {
+      type: Number
+    },
+    fatMass: {
+      type: Number
+    },
+    fatFreeMassIndex: {
+      type: Number
+    },
+    fatMassIndex: {
+      type: Number
+    }
+  },
+  changeFromPrevious: {
+    previousMeasurementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnthropometricMeasurement'
+    },
+    previousDate: {
+      type: Date
+    },
+    variables: [{
+      _id: false,
+      variable: String,
+      previous: Number,
+      current: Number,
+      change: Number,
+      mdc: Number,
+      temSource: {
+        type: String,
+        enum: ['professional', 'isak_target']
+      },
+      classification: {
+        type: String,
+        enum: ['meaningful_increase', 'meaningful_decrease', 'trivial']
+      }
+    }]
+  },
   notes: {
     type: String,
     trim: true
@@ -107,6 +346,56 @@ const anthropometricMeasurementSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Load the measured athlete once per save, routes can preload it in $locals
+const loadAthlete = async (measurement) => {
+  if (!measurement.$locals.athlete) {
+    measurement.$locals.athlete = await mongoose.model('User').findById(measurement.userId);
+  }
+  return measurement.$locals.athlete;
+};
+
+// Athlete details used by the equations, with the age at the measurement date
+const athleteInputs = (measurement, athlete) => {
+  if (!athlete) return {};
+  return {
+    gender: athlete.gender,
+    age: athlete.getAge ? athlete.getAge(measurement.date) : athlete.age
+  };
+};
+
+// Derive canonical site values from repeated ISAK readings
+anthropometricMeasurementSchema.pre('save', function(next) {
+  if (!this.isModified('readings')) return next();
+
+  this.readings.forEach(reading => {
+    Object.assign(reading, summarizeReadings(reading.group, reading.values));
+    this.set(`${reading.group}.${reading.site}`, reading.value);
+  });
+  next();
+});
+
+// Estimate body fat from skinfolds when the professional picked an equation.
+// A computed estimate takes precedence over a client supplied percentage.
+anthropometricMeasurementSchema.pre('save', async function() {
+  if (!this.bodyFatEstimate || !this.bodyFatEstimate.equation) return;
+
+  const athlete = await loadAthlete(this);
+  const estimate = estimateBodyFat(this.skinfolds, {
+    equation: this.bodyFatEstimate.equation,
+    conversion: this.bodyFatEstimate.conversion,
+    ...athleteInputs(this, athlete)
+  });
+
+  this.bodyFatEstimate.bodyDensity = estimate.bodyDensity;
+  this.bodyFatEstimate.value = estimate.value;
+  this.bodyFatEstimate.missingSites = estimate.missingSites;
+  this.bodyFatEstimate.missingInputs = estimate.missingInputs;
+
+  if (estimate.value !== undefined) {
+    this.bodyFatPercentage = estimate.value;
+  }
+});
+
 // Calculate body fat percentage and lean mass before saving
 anthropometricMeasurementSchema.pre('save', function(next) {
   if (this.isModified('weight') || this.isModified('bodyFatPercentage')) {
@@ -117,6 +406,79 @@ anthropometricMeasurementSchema.pre('save', function(next) {
   next();
 });
 
+// Calculate derived indices once body fat and lean mass are known
+anthropometricMeasurementSchema.pre('save', async function() {
+  if (this.isModified('weight') || this.isModified('height') || this.isModified('skinfolds') ||
+      this.isModified('perimeters') || this.isModified('bodyFatPercentage') || this.isModified('leanMass')) {
+    const athlete = await loadAthlete(this);
+    this.derived = calculateDerivedIndices(this, athleteInputs(this, athlete));
+  }
+});
+
+// Calculate the Heath-Carter somatotype before saving
+anthropometricMeasurementSchema.pre('save', function(next) {
+  if (this.isModified('weight') || this.isModified('height') || this.isModified('skinfolds') ||
+      this.isModified('perimeters') || this.isModified('breadths')) {
+    this.somatotype = calculateSomatotype(this);
+  }
+  next();
+});
+
+// Calculate the Kerr five-component fractionation before saving
+anthropometricMeasurementSchema.pre('save', async function() {
+  if (this.isModified('weight') || this.isModified('height') || this.isModified('sittingHeight') ||
+      this.isModified('skinfolds') || this.isModified('perimeters') || this.isModified('breadths')) {
+    const athlete = await loadAthlete(this);
+    this.fractionation = calculateFractionation(this, athleteInputs(this, athlete));
+  }
+});
+
+// Compare a new measurement with the athlete's previous one
+anthropometricMeasurementSchema.pre('save', async function() {
+  if (!this.isNew) return;
+
+  const previous = await this.constructor.findOne({
+    userId: this.userId,
+    date: { $lt: this.date }
+  }).sort({ date: -1 });
+
+  if (previous) {
+    const { sites } = await this.constructor.getProfessionalTEM(this.professionalId);
+    this.changeFromPrevious = compareMeasurements(previous.toObject(), this.toObject(), sites);
+  }
+});
+
+// Intra-evaluator TEM per site from a professional's repeated readings, with
+// the number of sessions it was calculated from
+anthropometricMeasurementSchema.statics.getProfessionalTEM = async function(professionalId, { startDate, endDate } = {}) {
+  const query = {
+    professionalId,
+    'readings.values.1': { $exists: true }
+  };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const measurements = await this.find(query).select('readings');
+  return {
+    sessions: measurements.length,
+    sites: calculateTEM(measurements)
+  };
+};
+
+// Body mass and lean mass of every weigh-in of one or more athletes
+anthropometricMeasurementSchema.statics.getWeighIns = function(userIds) {
+  return this.find({
+    userId: { $in: [].concat(userIds) },
+    weight: { $exists: true }
+  })
+    .select('userId date weight leanMass')
+    .lean();
+};
+
 // Indexes for better query performance
 anthropometricMeasurementSchema.index({ userId: 1, date: -1 });
 anthropometricMeasurementSchema.index({ professionalId: 1, date: -1 });
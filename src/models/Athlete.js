@@ -7,9 +7,14 @@ const athleteSchema = new mongoose.Schema({
     enum: ['male', 'female', 'other'],
     required: true
   },
+  dateOfBirth: {
+    type: Date
+  },
   age: {
     type: Number,
-    required: true,
+    required: function() {
+      return !this.dateOfBirth;
+    },
     min: 0
   },
   country: {
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const BodyComposition = require('./BodyComposition');
+
+const bioimpedanceReadingSchema = new mongoose.Schema({
+  frequency: {
+    type: Number,
+    min: 0
+  },
+  impedance: {
+    type: Number,
+    min: 0
+  },
+  resistance: {
+    type: Number,
+    min: 0
+  },
+  reactance: {
+    type: Number,
+    min: 0
+  },
+  phaseAngle: {
+    type: Number,
+    min: 0
+  },
+  totalBodyWater: {
+    type: Number,
+    min: 0
+  },
+  extracellularWater: {
+    type: Number,
+    min: 0
+  }
+});
+
+const BioimpedanceReading = BodyComposition.discriminator('bia', bioimpedanceReadingSchema);
+
+module.exports = BioimpedanceReading; 
\ No newline at end of file
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { DENSITY_CONVERSIONS } = require('../utils/bodyFatEquations');
+
+const regionSchema = {
+  fatMass: {
+    type: Number,
+    min: 0
+  },
+  leanMass: {
+    type: Number,
+    min: 0
+  },
+  boneMineralContent: {
+    type: Number,
+    min: 0
+  }
+};
+
+const bodyCompositionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['dxa', 'bia', 'adp'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  device: {
+    type: String,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    min: 0
+  },
+  bodyFatPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  fatMass: {
+    type: Number,
+    min: 0
+  },
+  leanMass: {
+    type: Number,
+    min: 0
+  },
+  boneMineralContent: {
+    type: Number,
+    min: 0
+  },
+  regional: {
+    arms: regionSchema,
+    legs: regionSchema,
+    trunk: regionSchema
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  discriminatorKey: 'method'
+});
+
+// Fill in body fat percentage and fat mass from whichever was reported, and
+// recompute the derived one when its inputs change on update
+bodyCompositionSchema.pre('save', function(next) {
+  const derives = (field, inputs) => this[field] === undefined ||
+    (!this.isModified(field) && inputs.some(input => this.isModified(input)));
+
+  if (this.bodyDensity && derives('bodyFatPercentage', ['bodyDensity', 'densityConversion'])) {
+    const conversion = DENSITY_CONVERSIONS[this.densityConversion || 'siri'];
+    this.bodyFatPercentage = Math.min(Math.max(conversion(this.bodyDensity), 0), 100);
+  }
+  if (this.weight) {
+    if (this.fatMass !== undefined && derives('bodyFatPercentage', ['fatMass'])) {
+      this.bodyFatPercentage = this.fatMass / this.weight * 100;
+    } else if (this.bodyFatPercentage !== undefined && derives('fatMass', ['weight', 'bodyFatPercentage'])) {
+      this.fatMass = this.weight * this.bodyFatPercentage / 100;
+    }
+  }
+  next();
+});
+
+// Indexes for better query performance
+bodyCompositionSchema.index({ userId: 1, method: 1, date: -1 });
+bodyCompositionSchema.index({ professionalId: 1, date: -1 });
+
+const BodyComposition = mongoose.model('BodyComposition', bodyCompositionSchema);
+
+module.exports = BodyComposition; 
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const BodyComposition = require('./BodyComposition');
+
+const dxaScanSchema = new mongoose.Schema({
+  boneMineralDensity: {
+    type: Number,
+    min: 0
+  },
+  tScore: {
+    type: Number
+  },
+  zScore: {
+    type: Number
+  },
+  visceralAdiposeTissue: {
+    type: Number,
+    min: 0
+  },
+  androidFatPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  gynoidFatPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  }
+});
+
+const DxaScan = BodyComposition.discriminator('dxa', dxaScanSchema);
+
+module.exports = DxaScan; 
\ No newline at end of file
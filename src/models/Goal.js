@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { GOAL_METRICS, extractHistory } = require('../utils/goals');
+
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  metric: {
+    type: String,
+    enum: Object.keys(GOAL_METRICS),
+    required: true
+  },
+  testId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PerformanceTest',
+    required: function() {
+      return this.metric === 'performanceTest';
+    }
+  },
+  targetValue: {
+    type: Number,
+    required: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  startValue: {
+    type: Number
+  },
+  // Optional rate limit, absolute or as a percentage of the current value
+  maxWeeklyChange: {
+    type: Number,
+    min: 0
+  },
+  maxWeeklyChangePercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  status: {
+    type: String,
+    enum: ['active', 'achieved', 'abandoned'],
+    default: 'active'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Dated history of the goal's metric for the athlete
+goalSchema.methods.getHistory = async function() {
+  const { source } = GOAL_METRICS[this.metric];
+  const modelName = source === 'anthropometric' ? 'AnthropometricMeasurement' : 'PerformanceMetrics';
+  const records = await mongoose.model(modelName)
+    .find({ userId: this.userId })
+    .sort({ date: 1 })
+    .lean();
+  return extractHistory(this, records);
+};
+
+// Indexes for better query performance
+goalSchema.index({ userId: 1, status: 1, deadline: 1 });
+goalSchema.index({ professionalId: 1, status: 1 });
+
+const Goal = mongoose.model('Goal', goalSchema);
+
+module.exports = Goal; 
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DAY_MS, dayKey } = require('../utils/workload');
+const { HEALTH_SOURCES, HEALTH_FIELD_GROUPS, consolidateDaily } = require('../utils/healthMerge');
 
 const healthMetricsSchema = new mongoose.Schema({
   userId: {
@@ -11,6 +13,11 @@ const healthMetricsSchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
+  // Calendar day (UTC) of the record, one record per user, day and source
+  day: {
+    type: String,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
   sleep: {
     duration: {
       type: Number,
@@ -51,9 +58,13 @@ const healthMetricsSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  bodyMass: {
+    type: Number,
+    min: 0
+  },
   source: {
     type: String,
-    enum: ['garmin', 'google_fit', 'apple_health'],
+    enum: HEALTH_SOURCES,
     required: true
   },
   notes: {
@@ -64,8 +75,107 @@ const healthMetricsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep the day in step with the date. Legacy records the backfill could not
+// give a day keep none until their date is changed.
+healthMetricsSchema.pre('validate', function(next) {
+  if (this.date && (this.isNew || this.day || this.isModified('date'))) {
+    this.day = dayKey(this.date);
+  }
+  next();
+});
+
+const UPSERT_FIELDS = [...Object.values(HEALTH_FIELD_GROUPS).flat(), 'notes'];
+
+// Create or update the record of a user, day and source. Re-sending the same
+// data leaves the record untouched.
+healthMetricsSchema.statics.upsertDaily = async function(userId, data) {
+  const date = data.date ? new Date(data.date) : new Date();
+  const day = dayKey(date);
+  const dayStart = new Date(`${day}T00:00:00.000Z`);
+  // Records stored before the day field are found by their date until the
+  // startup backfill has given them one
+  const existing = await this.findOne({ userId, day, source: data.source }) ||
+    await this.findOne({
+      userId,
+      source: data.source,
+      day: { $exists: false },
+      date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+    });
+
+  if (!existing) {
+    try {
+      const record = await this.create({ ...data, date, userId });
+      return { status: 'created', record };
+    } catch (error) {
+      // Another request created the same day first
+      if (error.code !== 11000) throw error;
+      return this.upsertDaily(userId, data);
+    }
+  }
+
+  UPSERT_FIELDS.forEach(field => {
+    const value = field.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), data);
+    if (value !== undefined) {
+      existing.set(field, value);
+    }
+  });
+
+  if (!existing.isModified()) {
+    return { status: 'skipped', record: existing };
+  }
+
+  await existing.save();
+  return { status: 'updated', record: existing };
+};
+
+// Set the day of records stored before it existed, the most recently updated
+// record first. A record whose day and source are already taken keeps no day
+// and is counted as a conflict, so duplicates are left for review rather than
+// dropped.
+healthMetricsSchema.statics.backfillDays = async function() {
+  const legacy = await this.find({ day: { $exists: false } }).select('date').sort({ updatedAt: -1 }).lean();
+  let conflicts = 0;
+
+  for (const record of legacy) {
+    try {
+      await this.updateOne({ _id: record._id }, { $set: { day: dayKey(record.date) } });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      conflicts += 1;
+    }
+  }
+
+  return { updated: legacy.length - conflicts, conflicts };
+};
+
+// One record per user and day merged across sources using each user's source
+// priority, with the source of every field group as provenance
+healthMetricsSchema.statics.getDailyConsolidated = async function(userIds, { startDate, endDate } = {}) {
+  const ids = [].concat(userIds);
+  const query = { userId: { $in: ids } };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const [users, records] = await Promise.all([
+    mongoose.model('User').find({ _id: { $in: ids } }).select('settings.healthSourcePriority').lean(),
+    this.find(query).lean()
+  ]);
+
+  return users.flatMap(user => consolidateDaily(
+    records
+      .filter(record => String(record.userId) === String(user._id))
+      .map(record => ({ ...record, day: record.day || dayKey(record.date) })),
+    user.settings && user.settings.healthSourcePriority
+  ));
+};
+
 // Indexes for better query performance
 healthMetricsSchema.index({ userId: 1, date: -1 });
+healthMetricsSchema.index({ userId: 1, day: 1, source: 1 }, { unique: true, partialFilterExpression: { day: { $exists: true } } });
 healthMetricsSchema.index({ source: 1, date: -1 });
 
 const HealthMetrics = mongoose.model('HealthMetrics', healthMetricsSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Hours a key is remembered, retries after that are treated as new requests
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// Minutes a request holds its key while processing. A request that never
+// completes, after a crash or a dropped connection, releases the key once the
+// lease runs out so a retry can take it over.
+const IDEMPOTENCY_LEASE_MINUTES = 5;
+
+const leaseExpiry = () => new Date(Date.now() + IDEMPOTENCY_LEASE_MINUTES * 60 * 1000);
+
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body, a key may only be replayed for the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: leaseExpiry
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Take over a processing key whose lease ran out, resolves to null while the
+// original request may still be running
+idempotencyKeySchema.statics.takeOverExpired = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'processing', leaseExpiresAt: { $lte: new Date() } },
+    { leaseExpiresAt: leaseExpiry() },
+    { new: true }
+  );
+};
+
+// Indexes for better query performance
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey; 
\ No newline at end of file
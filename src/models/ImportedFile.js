@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Device files already imported for a user, so uploading a file again does
+// not duplicate its records
+const importedFileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['garmin'],
+    required: true
+  },
+  // Unique identifiers of the file, e.g. a FIT file's file_id fields
+  fileKey: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  fileType: {
+    type: String
+  },
+  manufacturer: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  product: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  serialNumber: {
+    type: Number
+  },
+  timeCreated: {
+    type: Date
+  },
+  performanceMetricsIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PerformanceMetrics'
+  }],
+  healthDays: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+importedFileSchema.index({ userId: 1, source: 1, fileKey: 1 }, { unique: true });
+importedFileSchema.index({ userId: 1, createdAt: -1 });
+
+const ImportedFile = mongoose.model('ImportedFile', importedFileSchema);
+
+module.exports = ImportedFile; 
\ No newline at end of file
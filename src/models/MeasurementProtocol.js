@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { EQUATIONS } = require('../utils/bodyFatEquations');
+const { getValue } = require('../utils/norms');
+
+const SITE_PATTERN = /^(skinfolds|perimeters|breadths)\.[A-Za-z]+$|^sittingHeight$/;
+
+const measurementProtocolSchema = new mongoose.Schema({
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  requiredSites: [{
+    type: String,
+    match: SITE_PATTERN
+  }],
+  optionalSites: [{
+    type: String,
+    match: SITE_PATTERN
+  }],
+  defaultBodyFatEquation: {
+    type: String,
+    enum: Object.keys(EQUATIONS)
+  },
+  equipment: {
+    caliper: {
+      type: String,
+      trim: true
+    },
+    tape: {
+      type: String,
+      trim: true
+    },
+    anthropometer: {
+      type: String,
+      trim: true
+    },
+    scale: {
+      type: String,
+      trim: true
+    },
+    stadiometer: {
+      type: String,
+      trim: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Sites a measurement taken with this protocol is missing, and sites it
+// contains that the protocol does not define
+measurementProtocolSchema.methods.checkSites = function(measurement) {
+  const allowedSites = [...this.requiredSites, ...this.optionalSites];
+  const measuredSites = ['skinfolds', 'perimeters', 'breadths']
+    .flatMap(group => Object.keys(measurement[group] || {}).map(site => `${group}.${site}`))
+    .concat(['sittingHeight'])
+    .filter(site => getValue(measurement, site) !== undefined && getValue(measurement, site) !== null)
+    .concat((measurement.readings || []).map(reading => `${reading.group}.${reading.site}`));
+
+  return {
+    missingSites: this.requiredSites.filter(site => !measuredSites.includes(site)),
+    unexpectedSites: [...new Set(measuredSites)].filter(site => !allowedSites.includes(site))
+  };
+};
+
+// Indexes for better query performance
+measurementProtocolSchema.index({ professionalId: 1, name: 1 });
+
+const MeasurementProtocol = mongoose.model('MeasurementProtocol', measurementProtocolSchema);
+
+module.exports = MeasurementProtocol; 
\ No newline at end of file
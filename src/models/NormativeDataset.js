@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const normativeDatasetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'platform'],
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.source === 'upload';
+    }
+  },
+  cohort: {
+    sport: {
+      type: String,
+      trim: true
+    },
+    position: {
+      type: String,
+      trim: true
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other']
+    },
+    minAge: {
+      type: Number,
+      min: 0
+    },
+    maxAge: {
+      type: Number,
+      min: 0
+    }
+  },
+  variables: [{
+    variable: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    n: {
+      type: Number,
+      min: 0
+    },
+    mean: {
+      type: Number
+    },
+    sd: {
+      type: Number,
+      min: 0
+    },
+    percentiles: [{
+      percentile: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      value: {
+        type: Number
+      }
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+normativeDatasetSchema.index({ source: 1, 'cohort.sport': 1, 'cohort.gender': 1 });
+normativeDatasetSchema.index({ professionalId: 1, createdAt: -1 });
+
+const NormativeDataset = mongoose.model('NormativeDataset', normativeDatasetSchema);
+
+module.exports = NormativeDataset; 
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { FIELD_TESTS } = require('../utils/vo2max');
+const { WORKLOAD_HISTORY_DAYS, DAY_MS, aggregateDailyLoads, calculateWorkload } = require('../utils/workload');
 
 const performanceMetricsSchema = new mongoose.Schema({
   userId: {
@@ -20,6 +22,26 @@ const performanceMetricsSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Field test estimate behind vo2max when it was not measured in a lab
+  vo2maxEstimate: {
+    test: {
+      type: String,
+      enum: Object.keys(FIELD_TESTS)
+    },
+    equation: {
+      type: String
+    },
+    inputs: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // ml/kg/min
+    relative: {
+      type: Number
+    },
+    bodyMass: {
+      type: Number
+    }
+  },
   power: {
     type: Number,
     min: 0
@@ -32,6 +54,80 @@ const performanceMetricsSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Summary of a recorded activity imported from a device
+  activity: {
+    source: {
+      type: String,
+      enum: ['garmin']
+    },
+    sport: {
+      type: String
+    },
+    // Minutes of moving time
+    duration: {
+      type: Number,
+      min: 0
+    },
+    // km
+    distance: {
+      type: Number,
+      min: 0
+    },
+    calories: {
+      type: Number,
+      min: 0
+    },
+    maxSpeed: {
+      type: Number,
+      min: 0
+    },
+    avgHeartRate: {
+      type: Number,
+      min: 0
+    },
+    maxHeartRate: {
+      type: Number,
+      min: 0
+    },
+    maxPower: {
+      type: Number,
+      min: 0
+    },
+    normalizedPower: {
+      type: Number,
+      min: 0
+    },
+    // Garmin training load (EPOC), not comparable to session-RPE loads
+    trainingLoadPeak: {
+      type: Number,
+      min: 0
+    },
+    aerobicTrainingEffect: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    anaerobicTrainingEffect: {
+      type: Number,
+      min: 0,
+      max: 5
+    }
+  },
+  // Results against the performance test catalog
+  results: [{
+    testId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PerformanceTest',
+      required: true
+    },
+    attempts: [{
+      type: Number
+    }],
+    value: {
+      type: Number,
+      required: true
+    }
+  }],
   sport: {
     type: String,
     trim: true
@@ -48,10 +144,48 @@ const performanceMetricsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Training load entries of one or more athletes between two dates, from
+// performance records and completed session-RPE training sessions
+performanceMetricsSchema.statics.getLoadEntries = async function(userIds, { startDate, endDate } = {}) {
+  const query = {
+    userId: { $in: [].concat(userIds) }
+  };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const [records, sessions] = await Promise.all([
+    this.find({ ...query, trainingLoad: { $exists: true, $ne: null } }).select('userId date trainingLoad').lean(),
+    mongoose.model('TrainingSession').find({ ...query, status: 'completed' }).select('userId date load').lean()
+  ]);
+
+  return [
+    ...records.map(record => ({ userId: record.userId, date: record.date, load: record.trainingLoad })),
+    ...sessions.map(session => ({ userId: session.userId, date: session.date, load: session.load }))
+  ];
+};
+
+// Today's workload risk zone of each athlete, keyed by user ID
+performanceMetricsSchema.statics.getCurrentRiskZones = async function(userIds, { model = 'ewma' } = {}) {
+  const endDate = new Date();
+  const startDate = new Date(endDate - WORKLOAD_HISTORY_DAYS * DAY_MS);
+  const entries = await this.getLoadEntries(userIds, { startDate, endDate });
+
+  return new Map(userIds.map(userId => {
+    const athleteEntries = entries.filter(entry => String(entry.userId) === String(userId));
+    const series = calculateWorkload(aggregateDailyLoads(athleteEntries, { startDate, endDate }), { model });
+    return [String(userId), series.length ? series[series.length - 1].zone : undefined];
+  }));
+};
+
 // Indexes for better query performance
 performanceMetricsSchema.index({ userId: 1, date: -1 });
 performanceMetricsSchema.index({ professionalId: 1, date: -1 });
 performanceMetricsSchema.index({ sport: 1, date: -1 });
+performanceMetricsSchema.index({ userId: 1, 'results.testId': 1, date: -1 });
 
 const PerformanceMetrics = mongoose.model('PerformanceMetrics', performanceMetricsSchema);
 
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const TEST_CATEGORIES = ['strength', 'power', 'speed', 'endurance', 'agility', 'other'];
+
+// Tests available to every professional
+const SYSTEM_TESTS = [
+  { key: 'countermovement_jump', name: 'Countermovement jump', unit: 'cm', betterDirection: 'higher', category: 'power', attempts: 3 },
+  { key: 'sprint_10m', name: '10 m sprint', unit: 's', betterDirection: 'lower', category: 'speed', attempts: 3 },
+  { key: 'sprint_20m', name: '20 m sprint', unit: 's', betterDirection: 'lower', category: 'speed', attempts: 3 },
+  { key: 'sprint_30m', name: '30 m sprint', unit: 's', betterDirection: 'lower', category: 'speed', attempts: 3 },
+  { key: 'yo_yo_ir1', name: 'Yo-Yo intermittent recovery test level 1', unit: 'm', betterDirection: 'higher', category: 'endurance', attempts: 1 },
+  { key: 'squat_1rm', name: '1RM back squat', unit: 'kg', betterDirection: 'higher', category: 'strength', attempts: 5 },
+  { key: 't_test', name: 'Agility T-test', unit: 's', betterDirection: 'lower', category: 'agility', attempts: 3 }
+];
+
+const performanceTestSchema = new mongoose.Schema({
+  // Unset for system tests
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  betterDirection: {
+    type: String,
+    enum: ['higher', 'lower'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: TEST_CATEGORIES,
+    default: 'other'
+  },
+  // Maximum number of trials recorded per result
+  attempts: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Best of a set of trials in the test's better direction
+performanceTestSchema.methods.bestAttempt = function(values) {
+  return this.betterDirection === 'higher' ? Math.max(...values) : Math.min(...values);
+};
+
+// Tests a professional can record results against
+performanceTestSchema.statics.visibleTo = function(professionalId) {
+  return { $or: [{ professionalId: null }, { professionalId }] };
+};
+
+// Create any missing system test definitions
+performanceTestSchema.statics.ensureSystemTests = function() {
+  return this.bulkWrite(SYSTEM_TESTS.map(test => ({
+    updateOne: {
+      filter: { key: test.key, professionalId: null },
+      update: { $setOnInsert: test },
+      upsert: true
+    }
+  })));
+};
+
+// Indexes for better query performance
+performanceTestSchema.index({ professionalId: 1, key: 1 }, { unique: true });
+
+const PerformanceTest = mongoose.model('PerformanceTest', performanceTestSchema);
+
+module.exports = PerformanceTest; 
\ No newline at end of file
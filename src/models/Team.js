@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sport: {
+    type: String,
+    trim: true
+  },
+  seasons: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date
+    }
+  }],
+  // One entry per athlete and season, members without a season belong to every season
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    position: {
+      type: String,
+      trim: true
+    },
+    jerseyNumber: {
+      type: Number,
+      min: 0
+    },
+    season: {
+      type: String,
+      trim: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Members of the team in a season, each athlete once. Within a season the
+// season's own membership wins over a season-less one, across all seasons the
+// most recently added membership is kept.
+teamSchema.methods.getMembers = function(season) {
+  const memberships = season
+    ? this.members.filter(member => !member.season || member.season === season)
+    : this.members;
+
+  const byUser = memberships.reduce((members, member) => {
+    const key = String(member.userId);
+    if (!season || member.season || !members.has(key)) {
+      members.set(key, member);
+    }
+    return members;
+  }, new Map());
+  return [...byUser.values()];
+};
+
+// Indexes for better query performance
+teamSchema.index({ professionalId: 1, name: 1 });
+teamSchema.index({ 'members.userId': 1 });
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team; 
\ No newline at end of file
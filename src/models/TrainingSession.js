@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const trainingSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  loggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  type: {
+    type: String,
+    enum: ['training', 'match', 'strength', 'conditioning', 'recovery', 'other'],
+    default: 'training'
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'completed', 'missed'],
+    default: 'completed'
+  },
+  plannedSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingSession'
+  },
+  // Minutes
+  duration: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Borg CR-10 session rating of perceived exertion
+  rpe: {
+    type: Number,
+    min: 0,
+    max: 10,
+    required: function() {
+      return this.status === 'completed';
+    }
+  },
+  // Session load in arbitrary units (RPE x minutes)
+  load: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Calculate session load before saving
+trainingSessionSchema.pre('save', function(next) {
+  if (this.isModified('rpe') || this.isModified('duration')) {
+    this.load = this.rpe !== undefined && this.rpe !== null ? this.rpe * this.duration : undefined;
+  }
+  next();
+});
+
+// Indexes for better query performance
+trainingSessionSchema.index({ userId: 1, date: -1 });
+trainingSessionSchema.index({ professionalId: 1, date: -1 });
+trainingSessionSchema.index({ plannedSessionId: 1 });
+
+const TrainingSession = mongoose.model('TrainingSession', trainingSessionSchema);
+
+module.exports = TrainingSession; 
\ No newline at end of file
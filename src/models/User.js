@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { HEALTH_SOURCES } = require('../utils/healthMerge');
+
+// Preferred sources of a health field group, highest priority first
+const sourcePriority = [{
+  type: String,
+  enum: HEALTH_SOURCES
+}];
+
+const integrationStatus = {
+  connected: {
+    type: Boolean,
+    default: false
+  },
+  lastSync: {
+    type: Date
+  }
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -31,13 +48,27 @@ const userSchema = new mongoose.Schema({
       return this.role === 'athlete';
     }
   },
+  dateOfBirth: {
+    type: Date
+  },
+  // Kept for athletes registered before date of birth was collected
   age: {
     type: Number,
     required: function() {
-      return this.role === 'athlete';
+      return this.role === 'athlete' && !this.dateOfBirth;
     },
     min: 0
   },
+  parentalHeights: {
+    mother: {
+      type: Number,
+      min: 0
+    },
+    father: {
+      type: Number,
+      min: 0
+    }
+  },
   country: {
     type: String,
     required: function() {
@@ -61,6 +92,19 @@ const userSchema = new mongoose.Schema({
       enum: ['light', 'dark'],
       default: 'light'
     },
+    units: {
+      type: String,
+      enum: ['metric', 'imperial'],
+      default: 'metric'
+    },
+    healthSourcePriority: {
+      sleep: sourcePriority,
+      stress: sourcePriority,
+      restingHeartRate: sourcePriority,
+      heartRateVariability: sourcePriority,
+      steps: sourcePriority,
+      bodyMass: sourcePriority
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -72,6 +116,12 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Connection status of wearable and app integrations
+  integrations: {
+    garmin: integrationStatus,
+    googleFit: integrationStatus,
+    appleHealth: integrationStatus
+  },
   sport: {
     type: String,
     trim: true
@@ -110,11 +160,28 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Decimal age in years at a given date, from the date of birth when known
+userSchema.methods.getDecimalAge = function(at = new Date()) {
+  if (this.dateOfBirth) {
+    return (new Date(at) - this.dateOfBirth) / (365.25 * 24 * 60 * 60 * 1000);
+  }
+  return this.age;
+};
+
+// Method to get age in whole years at a given date
+userSchema.methods.getAge = function(at = new Date()) {
+  const age = this.getDecimalAge(at);
+  return age === undefined || age === null ? age : Math.floor(age);
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.__v;
+  if (this.role === 'athlete') {
+    userObject.age = this.getAge();
+  }
   return userObject;
 };
 
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { dayKey } = require('../utils/workload');
+
+// Hooper items are rated from 1 (very, very low) to 7 (very, very high)
+const hooperItem = {
+  type: Number,
+  min: 1,
+  max: 7,
+  required: true
+};
+
+const wellnessEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset for athletes without a professional
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Calendar day (UTC) of the entry, one entry per athlete and day
+  day: {
+    type: String
+  },
+  hooper: {
+    fatigue: hooperItem,
+    stress: hooperItem,
+    doms: hooperItem,
+    sleepQuality: hooperItem
+  },
+  hooperIndex: {
+    type: Number
+  },
+  // 1 (very bad) to 5 (very good)
+  mood: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  answers: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WellnessQuestion',
+      required: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Calculate the day and Hooper index before saving
+wellnessEntrySchema.pre('validate', function(next) {
+  if (this.date) {
+    this.day = dayKey(this.date);
+  }
+  const { fatigue, stress, doms, sleepQuality } = this.hooper || {};
+  this.hooperIndex = [fatigue, stress, doms, sleepQuality].every(value => typeof value === 'number')
+    ? fatigue + stress + doms + sleepQuality
+    : undefined;
+  next();
+});
+
+// Indexes for better query performance
+wellnessEntrySchema.index({ userId: 1, day: 1 }, { unique: true });
+wellnessEntrySchema.index({ professionalId: 1, day: -1 });
+
+const WellnessEntry = mongoose.model('WellnessEntry', wellnessEntrySchema);
+
+module.exports = WellnessEntry; 
\ No newline at end of file
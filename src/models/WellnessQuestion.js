@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const wellnessQuestionSchema = new mongoose.Schema({
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['scale', 'text'],
+    default: 'scale'
+  },
+  // Numeric answer range of scale questions
+  scale: {
+    min: {
+      type: Number,
+      default: 1
+    },
+    max: {
+      type: Number,
+      default: 5
+    },
+    minLabel: {
+      type: String,
+      trim: true
+    },
+    maxLabel: {
+      type: String,
+      trim: true
+    }
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Reason an answer is invalid for the question, if any
+wellnessQuestionSchema.methods.validateAnswer = function(value) {
+  if (this.type === 'text') {
+    return typeof value === 'string' ? undefined : 'Answer must be text';
+  }
+  if (typeof value !== 'number' || value < this.scale.min || value > this.scale.max) {
+    return `Answer must be a number between ${this.scale.min} and ${this.scale.max}`;
+  }
+  return undefined;
+};
+
+// Indexes for better query performance
+wellnessQuestionSchema.index({ professionalId: 1, isActive: 1, order: 1 });
+
+const WellnessQuestion = mongoose.model('WellnessQuestion', wellnessQuestionSchema);
+
+module.exports = WellnessQuestion; 
\ No newline at end of file
@@ -21,10 +21,23 @@ router.post('/register', [
     .if(check('role').equals('athlete'))
     .isIn(['male', 'female', 'other'])
     .withMessage('Invalid gender'),
+  check('dateOfBirth')
+    .optional()
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date'),
   check('age')
     .if(check('role').equals('athlete'))
+    .if(check('dateOfBirth').not().exists())
     .isInt({ min: 0 })
-    .withMessage('Age must be a positive integer'),
+    .withMessage('Age or date of birth is required'),
+  check('parentalHeights.mother')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Mother height must be a positive number'),
+  check('parentalHeights.father')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Father height must be a positive number'),
   check('country')
     .if(check('role').equals('athlete'))
     .trim()
@@ -81,7 +94,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role, gender, age, country, sport, position, professionalId, specialization, licenseNumber, yearsOfExperience } = req.body;
+    const { name, email, password, role, gender, age, dateOfBirth, parentalHeights, country, sport, position, professionalId, specialization, licenseNumber, yearsOfExperience } = req.body;
 
     // Check if user already exists
     let user = await User.findOne({ email });
@@ -103,6 +116,8 @@ router.post('/register', [
         role,
         gender,
         age,
+        dateOfBirth,
+        parentalHeights,
         country,
         sport,
         position,
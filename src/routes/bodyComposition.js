@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, requireProfessional } = require('../middleware/auth');
+const { convertUnits } = require('../middleware/units');
+const BodyComposition = require('../models/BodyComposition');
+const DxaScan = require('../models/DxaScan');
+const BioimpedanceReading = require('../models/BioimpedanceReading');
+const AirDisplacementReading = require('../models/AirDisplacementReading');
+const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
+const User = require('../models/User');
+const { DENSITY_CONVERSIONS } = require('../utils/bodyFatEquations');
+const { pairByDate, blandAltman } = require('../utils/agreement');
+const { round, isNumber } = require('../utils/math');
+
+// Caliper lean mass is fat-free mass, while DXA lean mass leaves out bone
+// mineral content, which is added back before comparing
+const referenceFatFreeMass = (record) => {
+  if (record.method !== 'dxa') return record.leanMass;
+  return isNumber(record.leanMass) && isNumber(record.boneMineralContent)
+    ? record.leanMass + record.boneMineralContent
+    : undefined;
+};
+
+const METHOD_MODELS = {
+  dxa: DxaScan,
+  bia: BioimpedanceReading,
+  adp: AirDisplacementReading
+};
+
+const REGIONS = ['arms', 'legs', 'trunk'];
+
+// Fields shared by every method plus the method-specific ones
+const compositionValidators = [
+  body('date').optional().isISO8601(),
+  body('device').optional().isString(),
+  body('weight').optional().isFloat({ min: 0 }),
+  body('bodyFatPercentage').optional().isFloat({ min: 0, max: 100 }),
+  body('fatMass').optional().isFloat({ min: 0 }),
+  body('leanMass').optional().isFloat({ min: 0 }),
+  body('boneMineralContent').optional().isFloat({ min: 0 }),
+  ...REGIONS.flatMap(region => [
+    body(`regional.${region}.fatMass`).optional().isFloat({ min: 0 }),
+    body(`regional.${region}.leanMass`).optional().isFloat({ min: 0 }),
+    body(`regional.${region}.boneMineralContent`).optional().isFloat({ min: 0 })
+  ]),
+  body('boneMineralDensity').optional().isFloat({ min: 0 }),
+  body('tScore').optional().isFloat(),
+  body('zScore').optional().isFloat(),
+  body('visceralAdiposeTissue').optional().isFloat({ min: 0 }),
+  body('androidFatPercentage').optional().isFloat({ min: 0, max: 100 }),
+  body('gynoidFatPercentage').optional().isFloat({ min: 0, max: 100 }),
+  body('frequency').optional().isFloat({ min: 0 }),
+  body('impedance').optional().isFloat({ min: 0 }),
+  body('resistance').optional().isFloat({ min: 0 }),
+  body('reactance').optional().isFloat({ min: 0 }),
+  body('phaseAngle').optional().isFloat({ min: 0 }),
+  body('totalBodyWater').optional().isFloat({ min: 0 }),
+  body('extracellularWater').optional().isFloat({ min: 0 }),
+  body('bodyVolume').optional().isFloat({ min: 0 }),
+  body('bodyDensity').optional().isFloat({ min: 0 }),
+  body('thoracicGasVolume').optional().isFloat({ min: 0 }),
+  body('densityConversion').optional().isIn(Object.keys(DENSITY_CONVERSIONS)),
+  body('notes').optional().isString()
+];
+
+// Create new body composition record
+router.post('/', [
+  auth,
+  requireProfessional,
+  convertUnits('bodyComposition'),
+  body('userId').isMongoId(),
+  body('method').isIn(Object.keys(METHOD_MODELS)),
+  ...compositionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Verify user exists and is assigned to the professional
+    const user = await User.findOne({
+      _id: req.body.userId,
+      role: 'athlete',
+      professionalId: req.user._id
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found or not assigned to you'
+        }
+      });
+    }
+
+    const Model = METHOD_MODELS[req.body.method];
+    const record = new Model({
+      ...req.body,
+      professionalId: req.user._id
+    });
+
+    await record.save();
+    res.status(201).json(record);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating body composition record'
+      }
+    });
+  }
+});
+
+// Get body composition records
+router.get('/', [auth, convertUnits('bodyComposition')], async (req, res) => {
+  try {
+    const { userId, method, startDate, endDate, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+      if (userId) {
+        query.userId = userId;
+      }
+    } else {
+      query.userId = req.user._id;
+    }
+
+    if (method) {
+      query.method = method;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [records, total] = await Promise.all([
+      BodyComposition.find(query)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      BodyComposition.countDocuments(query)
+    ]);
+
+    res.json({
+      data: records,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching body composition records'
+      }
+    });
+  }
+});
+
+// Agreement between caliper estimates and a reference method over time
+router.get('/agreement/:userId', auth, async (req, res) => {
+  try {
+    const { reference = 'dxa', maxDays = 7 } = req.query;
+
+    if (!METHOD_MODELS[reference]) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_METHOD',
+          message: `Reference must be one of: ${Object.keys(METHOD_MODELS).join(', ')}`
+        }
+      });
+    }
+
+    const query = { userId: req.params.userId };
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+    } else if (String(req.user._id) !== req.params.userId) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    const [references, measurements] = await Promise.all([
+      BodyComposition.find({ ...query, method: reference }).sort({ date: 1 }),
+      AnthropometricMeasurement.find(query).sort({ date: 1 })
+    ]);
+
+    const variableAgreement = (referenceRecords, estimates, variable) => blandAltman(
+      pairByDate(referenceRecords, estimates, parseFloat(maxDays), variable)
+        .map(pair => ({ estimate: pair.estimate[variable], reference: pair.reference[variable] }))
+    );
+    const withFatFreeMass = (records, fatFreeMass) => records
+      .map(record => ({ _id: record._id, date: record.date, fatFreeMass: fatFreeMass(record) }));
+    const pairs = pairByDate(references, measurements, parseFloat(maxDays), 'bodyFatPercentage');
+
+    res.json({
+      userId: req.params.userId,
+      reference,
+      maxDays: parseFloat(maxDays),
+      agreement: {
+        bodyFatPercentage: variableAgreement(references, measurements, 'bodyFatPercentage'),
+        fatFreeMass: variableAgreement(
+          withFatFreeMass(references, referenceFatFreeMass),
+          withFatFreeMass(measurements, measurement => measurement.leanMass),
+          'fatFreeMass'
+        )
+      },
+      pairs: pairs.map(pair => ({
+        measurementId: pair.estimate._id,
+        referenceId: pair.reference._id,
+        measurementDate: pair.estimate.date,
+        referenceDate: pair.reference.date,
+        daysApart: pair.daysApart,
+        caliperBodyFatPercentage: round(pair.estimate.bodyFatPercentage),
+        referenceBodyFatPercentage: round(pair.reference.bodyFatPercentage),
+        difference: round(pair.estimate.bodyFatPercentage - pair.reference.bodyFatPercentage),
+        average: round((pair.estimate.bodyFatPercentage + pair.reference.bodyFatPercentage) / 2)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating method agreement'
+      }
+    });
+  }
+});
+
+// Get single body composition record
+router.get('/:id', [auth, convertUnits('bodyComposition')], async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+    } else {
+      query.userId = req.user._id;
+    }
+
+    const record = await BodyComposition.findOne(query);
+
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Body composition record not found'
+        }
+      });
+    }
+
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching body composition record'
+      }
+    });
+  }
+});
+
+// Update body composition record
+router.put('/:id', [
+  auth,
+  requireProfessional,
+  convertUnits('bodyComposition'),
+  ...compositionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await BodyComposition.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Body composition record not found'
+        }
+      });
+    }
+
+    // The owner and method of a record cannot change
+    const updates = Object.keys(req.body).filter(update => !['userId', 'professionalId', 'method'].includes(update));
+    updates.forEach(update => {
+      record[update] = req.body[update];
+    });
+
+    await record.save();
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating body composition record'
+      }
+    });
+  }
+});
+
+// Delete body composition record
+router.delete('/:id', [auth, requireProfessional, convertUnits('bodyComposition')], async (req, res) => {
+  try {
+    const record = await BodyComposition.findOneAndDelete({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!record) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Body composition record not found'
+        }
+      });
+    }
+
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting body composition record'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, requireProfessional } = require('../middleware/auth');
+const { convertUnits } = require('../middleware/units');
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const PerformanceTest = require('../models/PerformanceTest');
+require('../models/AnthropometricMeasurement');
+require('../models/PerformanceMetrics');
+const { GOAL_METRICS, evaluateGoal } = require('../utils/goals');
+const { toMetric } = require('../utils/units');
+
+// Goal with its progress computed from the athlete's history
+const withProgress = async (goal) => ({
+  ...goal.toJSON(),
+  progress: evaluateGoal(goal, await goal.getHistory())
+});
+
+const goalValidators = [
+  body('deadline').optional().isISO8601(),
+  body('maxWeeklyChange').optional().isFloat({ min: 0 }),
+  body('maxWeeklyChangePercentage').optional().isFloat({ min: 0, max: 100 }),
+  body('notes').optional().isString()
+];
+
+// Create new goal
+router.post('/', [
+  auth,
+  requireProfessional,
+  convertUnits('goal'),
+  body('userId').isMongoId(),
+  body('metric').isIn(Object.keys(GOAL_METRICS)),
+  body('testId').if(body('metric').equals('performanceTest')).isMongoId(),
+  body('targetValue').isFloat(),
+  body('deadline').isISO8601(),
+  body('startDate').optional().isISO8601(),
+  body('startValue').optional().isFloat(),
+  ...goalValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Verify user exists and is assigned to the professional
+    const user = await User.findOne({
+      _id: req.body.userId,
+      role: 'athlete',
+      professionalId: req.user._id
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found or not assigned to you'
+        }
+      });
+    }
+
+    if (req.body.metric === 'performanceTest' &&
+        !await PerformanceTest.exists({ ...PerformanceTest.visibleTo(req.user._id), _id: req.body.testId })) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Performance test not found'
+        }
+      });
+    }
+
+    const goal = new Goal({
+      ...req.body,
+      professionalId: req.user._id,
+      status: 'active'
+    });
+
+    // Start from the latest value recorded before the goal starts
+    if (goal.startValue === undefined) {
+      const baseline = (await goal.getHistory()).filter(entry => entry.date <= goal.startDate).pop();
+      if (baseline) {
+        goal.startValue = baseline.value;
+      }
+    }
+
+    await goal.save();
+    res.status(201).json(await withProgress(goal));
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating goal'
+      }
+    });
+  }
+});
+
+// Get goals with their progress
+router.get('/', [auth, convertUnits('goal')], async (req, res) => {
+  try {
+    const { userId, metric, status, flagged, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+      if (userId) {
+        query.userId = userId;
+      }
+    } else {
+      query.userId = req.user._id;
+    }
+
+    if (metric) {
+      query.metric = metric;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+    let data;
+    let total;
+
+    if (flagged === 'true') {
+      // Only goals that are off track or need an unsafe rate. Progress is
+      // computed, so flagged goals are paginated after evaluating all of them.
+      const goals = await Goal.find(query).sort({ deadline: 1 });
+      const flaggedGoals = (await Promise.all(goals.map(withProgress)))
+        .filter(goal => goal.progress.offTrack || goal.progress.unsafeRate);
+
+      total = flaggedGoals.length;
+      data = flaggedGoals.slice(skip, skip + parseInt(limit));
+    } else {
+      const [goals, count] = await Promise.all([
+        Goal.find(query)
+          .sort({ deadline: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Goal.countDocuments(query)
+      ]);
+
+      total = count;
+      data = await Promise.all(goals.map(withProgress));
+    }
+
+    res.json({
+      data,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching goals'
+      }
+    });
+  }
+});
+
+// Get single goal with its progress
+router.get('/:id', [auth, convertUnits('goal')], async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+    } else {
+      query.userId = req.user._id;
+    }
+
+    const goal = await Goal.findOne(query);
+
+    if (!goal) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Goal not found'
+        }
+      });
+    }
+
+    res.json(await withProgress(goal));
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching goal'
+      }
+    });
+  }
+});
+
+// Update goal
+router.put('/:id', [
+  auth,
+  requireProfessional,
+  convertUnits('goal'),
+  body('targetValue').optional().isFloat(),
+  body('startValue').optional().isFloat(),
+  body('status').optional().isIn(['active', 'achieved', 'abandoned']),
+  ...goalValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Goal not found'
+        }
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['targetValue', 'startValue', 'deadline', 'maxWeeklyChange', 'maxWeeklyChangePercentage', 'status', 'notes'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_UPDATE',
+          message: 'Invalid updates'
+        }
+      });
+    }
+
+    // Values arrive in the user's units of the stored goal's metric
+    const values = toMetric({ ...req.body, metric: goal.metric }, 'goal', req.units);
+    updates.forEach(update => {
+      goal[update] = values[update];
+    });
+
+    await goal.save();
+    res.json(await withProgress(goal));
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating goal'
+      }
+    });
+  }
+});
+
+// Delete goal
+router.delete('/:id', [auth, requireProfessional, convertUnits('goal')], async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Goal not found'
+        }
+      });
+    }
+
+    res.json(goal);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting goal'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -1,25 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requireProfessional } = require('../middleware/auth');
+const { resolveUnits, convertUnits } = require('../middleware/units');
+const { idempotency } = require('../middleware/idempotency');
 const HealthMetrics = require('../models/HealthMetrics');
 const User = require('../models/User');
+const { READINESS_HISTORY_DAYS, readinessSeries } = require('../utils/readiness');
+const { DAY_MS } = require('../utils/workload');
+const { HEALTH_SOURCES } = require('../utils/healthMerge');
+const { toMetric } = require('../utils/units');
 
-// Create new health record
+const MAX_BATCH_SIZE = 5000;
+
+// Validation rules of a health record, `prefix` locates the record in the body
+const healthValidators = (prefix = '') => [
+  body(`${prefix}date`).optional().isISO8601(),
+  body(`${prefix}sleep.duration`).optional().isFloat({ min: 0 }),
+  body(`${prefix}sleep.quality`).optional().isFloat({ min: 0, max: 100 }),
+  body(`${prefix}sleep.deepSleep`).optional().isFloat({ min: 0 }),
+  body(`${prefix}sleep.lightSleep`).optional().isFloat({ min: 0 }),
+  body(`${prefix}sleep.remSleep`).optional().isFloat({ min: 0 }),
+  body(`${prefix}stress`).optional().isFloat({ min: 0, max: 100 }),
+  body(`${prefix}restingHeartRate`).optional().isFloat({ min: 0 }),
+  body(`${prefix}heartRateVariability`).optional().isFloat({ min: 0 }),
+  body(`${prefix}steps`).optional().isFloat({ min: 0 }),
+  body(`${prefix}bodyMass`).optional().isFloat({ min: 0 }),
+  body(`${prefix}notes`).optional().isString()
+];
+
+// Consolidated daily health of one or more athletes covering readiness
+// between two dates
+const findReadinessRecords = (userIds, startDate, endDate) => HealthMetrics.getDailyConsolidated(userIds, {
+  startDate: new Date(startDate - READINESS_HISTORY_DAYS * DAY_MS),
+  endDate
+});
+
+// Daily readiness of an athlete over the last `days` days up to `endDate`
+const athleteReadiness = async (userId, query) => {
+  const endDate = query.endDate ? new Date(query.endDate) : new Date();
+  const days = Math.min(Math.max(parseInt(query.days) || 14, 1), 90);
+  const startDate = new Date(endDate - (days - 1) * DAY_MS);
+
+  const records = await findReadinessRecords(userId, startDate, endDate);
+  const series = readinessSeries(records, { startDate, endDate });
+
+  return {
+    userId,
+    current: series[series.length - 1],
+    series
+  };
+};
+
+// Create or update the health record of a day and source
 router.post('/', [
   auth,
-  body('date').optional().isISO8601(),
-  body('sleep.duration').optional().isFloat({ min: 0 }),
-  body('sleep.quality').optional().isFloat({ min: 0, max: 100 }),
-  body('sleep.deepSleep').optional().isFloat({ min: 0 }),
-  body('sleep.lightSleep').optional().isFloat({ min: 0 }),
-  body('sleep.remSleep').optional().isFloat({ min: 0 }),
-  body('stress').optional().isFloat({ min: 0, max: 100 }),
-  body('restingHeartRate').optional().isFloat({ min: 0 }),
-  body('heartRateVariability').optional().isFloat({ min: 0 }),
-  body('steps').optional().isFloat({ min: 0 }),
-  body('source').isIn(['garmin', 'google_fit', 'apple_health']),
-  body('notes').optional().isString()
+  idempotency,
+  convertUnits('health'),
+  ...healthValidators(),
+  body('source').isIn(HEALTH_SOURCES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,25 +66,81 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const health = new HealthMetrics({
-      ...req.body,
-      userId: req.user._id
+    // Records are unique per day and source, sending a day again updates it
+    const { status, record } = await HealthMetrics.upsertDaily(req.user._id, req.body);
+    res.status(status === 'created' ? 201 : 200).json(record);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating health record'
+      }
+    });
+  }
+});
+
+// Create or update many health records at once, each record gets its own
+// result so one invalid record does not reject the whole batch
+router.post('/batch', [
+  auth,
+  idempotency,
+  resolveUnits,
+  body('records').isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`Records must be an array of 1 to ${MAX_BATCH_SIZE} items`),
+  ...healthValidators('records.*.'),
+  body('records.*.source').isIn(HEALTH_SOURCES)
+], async (req, res) => {
+  try {
+    const recordErrors = new Map();
+    const batchErrors = [];
+
+    validationResult(req).array().forEach(err => {
+      const match = /^records\[(\d+)\]\.?(.*)$/.exec(err.path || '');
+      if (!match) {
+        batchErrors.push(err);
+        return;
+      }
+      const index = Number(match[1]);
+      recordErrors.set(index, [...(recordErrors.get(index) || []), { field: match[2], message: err.msg }]);
     });
 
-    await health.save();
-    res.status(201).json(health);
+    if (batchErrors.length) {
+      return res.status(400).json({ errors: batchErrors });
+    }
+
+    const summary = { created: 0, updated: 0, skipped: 0, error: 0 };
+    const results = [];
+
+    // Sequentially, so records of the same day and source merge in order
+    for (const [index, data] of req.body.records.entries()) {
+      if (recordErrors.has(index)) {
+        summary.error += 1;
+        results.push({ index, status: 'error', errors: recordErrors.get(index) });
+        continue;
+      }
+
+      try {
+        const { status, record } = await HealthMetrics.upsertDaily(req.user._id, toMetric(data, 'health', req.units));
+        summary[status] += 1;
+        results.push({ index, status, id: record._id, day: record.day, source: record.source });
+      } catch (error) {
+        summary.error += 1;
+        results.push({ index, status: 'error', errors: [{ message: error.message }] });
+      }
+    }
+
+    res.json({ summary, results });
   } catch (error) {
     res.status(500).json({
       error: {
         code: 'INTERNAL_SERVER_ERROR',
-        message: 'Error creating health record'
+        message: 'Error importing health records'
       }
     });
   }
 });
 
 // Get health records
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, convertUnits('health')], async (req, res) => {
   try {
     const { startDate, endDate, source, page = 1, limit = 10 } = req.query;
     
@@ -90,8 +185,142 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get one consolidated record per day merged across sources
+router.get('/daily', [auth, convertUnits('health')], async (req, res) => {
+  try {
+    const { userId, startDate, endDate } = req.query;
+    let athleteId = req.user._id;
+
+    if (req.user.role === 'professional' && userId) {
+      const athlete = await User.findOne({
+        _id: userId,
+        role: 'athlete',
+        professionalId: req.user._id
+      });
+
+      if (!athlete) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'User not found or not assigned to you'
+          }
+        });
+      }
+      athleteId = athlete._id;
+    }
+
+    const days = await HealthMetrics.getDailyConsolidated(athleteId, { startDate, endDate });
+    res.json({ data: days.reverse() });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching daily health'
+      }
+    });
+  }
+});
+
+// Get the authenticated athlete's readiness
+router.get('/readiness', auth, async (req, res) => {
+  try {
+    res.json(await athleteReadiness(req.user._id, req.query));
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating readiness'
+      }
+    });
+  }
+});
+
+// Today's readiness of every athlete of the professional, lowest first
+router.get('/readiness/roster', [auth, requireProfessional], async (req, res) => {
+  try {
+    const { status } = req.query;
+    const endDate = req.query.date ? new Date(req.query.date) : new Date();
+
+    const athletes = await User.find({
+      professionalId: req.user._id,
+      role: 'athlete',
+      isActive: true
+    }).select('name sport position');
+
+    const records = await findReadinessRecords(athletes.map(athlete => athlete._id), endDate, endDate);
+
+    let data = athletes.map(athlete => {
+      const [readiness] = readinessSeries(
+        records.filter(record => String(record.userId) === String(athlete._id)),
+        { startDate: endDate, endDate }
+      );
+      return {
+        userId: athlete._id,
+        name: athlete.name,
+        sport: athlete.sport,
+        position: athlete.position,
+        ...readiness
+      };
+    });
+
+    if (status) {
+      data = data.filter(entry => entry.status === status);
+    }
+
+    // Athletes without a score go last
+    data.sort((a, b) => (a.score === undefined) - (b.score === undefined) || (a.score || 0) - (b.score || 0));
+
+    res.json({ data });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating roster readiness'
+      }
+    });
+  }
+});
+
+// Get an athlete's readiness
+router.get('/readiness/:userId', auth, async (req, res) => {
+  try {
+    if (req.user.role === 'professional') {
+      const athlete = await User.findOne({
+        _id: req.params.userId,
+        role: 'athlete',
+        professionalId: req.user._id
+      });
+
+      if (!athlete) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'User not found or not assigned to you'
+          }
+        });
+      }
+    } else if (String(req.user._id) !== req.params.userId) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    res.json(await athleteReadiness(req.params.userId, req.query));
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating readiness'
+      }
+    });
+  }
+});
+
 // Get single health record
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, convertUnits('health')], async (req, res) => {
   try {
     const record = await HealthMetrics.findOne({
       _id: req.params.id,
@@ -121,18 +350,9 @@ router.get('/:id', auth, async (req, res) => {
 // Update health record
 router.put('/:id', [
   auth,
-  body('date').optional().isISO8601(),
-  body('sleep.duration').optional().isFloat({ min: 0 }),
-  body('sleep.quality').optional().isFloat({ min: 0, max: 100 }),
-  body('sleep.deepSleep').optional().isFloat({ min: 0 }),
-  body('sleep.lightSleep').optional().isFloat({ min: 0 }),
-  body('sleep.remSleep').optional().isFloat({ min: 0 }),
-  body('stress').optional().isFloat({ min: 0, max: 100 }),
-  body('restingHeartRate').optional().isFloat({ min: 0 }),
-  body('heartRateVariability').optional().isFloat({ min: 0 }),
-  body('steps').optional().isFloat({ min: 0 }),
-  body('source').optional().isIn(['garmin', 'google_fit', 'apple_health']),
-  body('notes').optional().isString()
+  convertUnits('health'),
+  ...healthValidators(),
+  body('source').optional().isIn(HEALTH_SOURCES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -162,6 +382,14 @@ router.put('/:id', [
     await record.save();
     res.json(record);
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: {
+          code: 'DUPLICATE_RECORD',
+          message: 'A record for this day and source already exists'
+        }
+      });
+    }
     res.status(500).json({
       error: {
         code: 'INTERNAL_SERVER_ERROR',
@@ -172,7 +400,7 @@ router.put('/:id', [
 });
 
 // Delete health record
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth, convertUnits('health')], async (req, res) => {
   try {
     const record = await HealthMetrics.findOneAndDelete({
       _id: req.params.id,
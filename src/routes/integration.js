@@ -1,7 +1,127 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
+const HealthMetrics = require('../models/HealthMetrics');
+const PerformanceMetrics = require('../models/PerformanceMetrics');
+const ImportedFile = require('../models/ImportedFile');
+const { parseAppleHealthFile } = require('../utils/appleHealth');
+const { decodeFit } = require('../utils/fit');
+const { fitFileKey, fitFileInfo, extractActivities, extractDailyHealth } = require('../utils/garmin');
+
+// Health exports span years of data, so they go to disk and are streamed
+const exportUpload = multer({
+  storage: multer.diskStorage({}),
+  limits: { fileSize: 1024 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['.zip', '.xml'].includes(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+// FIT files go to disk as well and are read one at a time while importing
+const fitUpload = multer({
+  storage: multer.diskStorage({}),
+  limits: { fileSize: 20 * 1024 * 1024, files: 50 },
+  fileFilter: (req, file, cb) => {
+    cb(null, path.extname(file.originalname).toLowerCase() === '.fit');
+  }
+});
+
+// Run a multer upload, answering files over the size or count limits with
+// the routes' invalid file error instead of a server error
+const acceptUpload = (upload) => (req, res, next) => upload(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: {
+        code: 'INVALID_FILE',
+        message: error.message
+      }
+    });
+  }
+  next(error);
+});
+
+// Import one FIT file for an athlete: activity sessions become performance
+// records and monitoring, sleep and HRV data daily health records
+const importFitFile = async (file, user) => {
+  const buffer = await fs.promises.readFile(file.path);
+  let messages;
+  try {
+    ({ messages } = decodeFit(buffer));
+  } catch (decodeError) {
+    return { fileName: file.originalname, status: 'error', message: decodeError.message };
+  }
+
+  const activities = extractActivities(messages);
+  const { professionalId } = user;
+  if (activities.length && !professionalId) {
+    return {
+      fileName: file.originalname,
+      status: 'error',
+      message: 'Activities can only be imported for athletes assigned to a professional'
+    };
+  }
+
+  let importedFile;
+  try {
+    importedFile = await ImportedFile.create({
+      ...fitFileInfo(messages),
+      userId: user._id,
+      source: 'garmin',
+      fileKey: fitFileKey(messages, buffer),
+      fileName: file.originalname
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { fileName: file.originalname, status: 'duplicate', message: 'File was already imported' };
+  }
+
+  // IDs are assigned up front so a partially failed insert can be undone
+  const performanceIds = activities.map(() => new mongoose.Types.ObjectId());
+
+  try {
+    const performance = await PerformanceMetrics.insertMany(activities.map((activity, index) => ({
+      ...activity,
+      _id: performanceIds[index],
+      userId: user._id,
+      professionalId,
+      sport: user.sport,
+      position: user.position
+    })));
+
+    // Daily records are upserts per day and source, importing them again
+    // updates the same records instead of duplicating them
+    const health = { created: 0, updated: 0, skipped: 0 };
+    const days = extractDailyHealth(messages);
+    for (const data of days) {
+      const { status } = await HealthMetrics.upsertDaily(user._id, data);
+      health[status] += 1;
+    }
+
+    importedFile.performanceMetricsIds = performance.map(record => record._id);
+    importedFile.healthDays = days.map(data => data.date.toISOString().slice(0, 10));
+    await importedFile.save();
+
+    return {
+      fileName: file.originalname,
+      status: 'imported',
+      fileType: importedFile.fileType,
+      activities: performance.length,
+      healthDays: health
+    };
+  } catch (error) {
+    // Let the file be uploaded again once the problem is fixed, without the
+    // activities already inserted
+    await PerformanceMetrics.deleteMany({ _id: { $in: performanceIds } });
+    await importedFile.deleteOne();
+    throw error;
+  }
+};
 
 // Connect Garmin account
 router.post('/garmin', auth, async (req, res) => {
@@ -36,6 +156,70 @@ router.post('/garmin', auth, async (req, res) => {
   }
 });
 
+// Upload FIT activity and wellness files downloaded from Garmin Connect.
+// Athletes upload their own files, professionals those of an assigned athlete.
+router.post('/garmin/files', [
+  auth,
+  acceptUpload(fitUpload.array('files')),
+  body('userId').if((value, { req }) => req.user.role === 'professional')
+    .isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_FILE',
+          message: 'At least one .fit file is required'
+        }
+      });
+    }
+
+    let athlete = req.user;
+    if (req.user.role === 'professional') {
+      athlete = await User.findOne({
+        _id: req.body.userId,
+        role: 'athlete',
+        professionalId: req.user._id
+      });
+
+      if (!athlete) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'User not found or not assigned to you'
+          }
+        });
+      }
+    }
+
+    // A failing file does not discard the files already imported
+    const results = [];
+    for (const file of req.files) {
+      try {
+        results.push(await importFitFile(file, athlete));
+      } catch (error) {
+        results.push({ fileName: file.originalname, status: 'error', message: 'Error importing file' });
+      }
+    }
+
+    res.json({ data: results });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error importing Garmin files'
+      }
+    });
+  } finally {
+    (req.files || []).forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+  }
+});
+
 // Connect Google Fit account
 router.post('/google-fit', auth, async (req, res) => {
   try {
@@ -69,36 +253,83 @@ router.post('/google-fit', auth, async (req, res) => {
   }
 });
 
-// Connect Apple Health account
-router.post('/apple-health', auth, async (req, res) => {
+// Import an Apple Health export. Apple Health has no server API, so athletes
+// upload the export.zip from the Health app instead of connecting an account.
+router.post('/apple-health', [
+  auth,
+  acceptUpload(exportUpload.single('file')),
+  body('startDate').optional().isISO8601()
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
         error: {
-          code: 'NOT_FOUND',
-          message: 'User not found'
+          code: 'INVALID_FILE',
+          message: 'An Apple Health export.zip or export.xml file is required'
         }
       });
     }
 
-    // TODO: Implement Apple Health OAuth flow
-    // For now, just store the connection status
-    user.integrations = user.integrations || {};
-    user.integrations.appleHealth = {
-      connected: true,
-      lastSync: new Date()
-    };
+    let parsed;
+    try {
+      parsed = await parseAppleHealthFile(req.file, { startDate: req.body.startDate });
+    } catch (parseError) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_FILE',
+          message: parseError.message
+        }
+      });
+    }
 
-    await user.save();
-    res.json({ message: 'Apple Health account connected successfully' });
+    const records = { created: 0, updated: 0, skipped: 0, error: 0 };
+    for (const data of parsed.records) {
+      try {
+        const { status } = await HealthMetrics.upsertDaily(req.user._id, data);
+        records[status] += 1;
+      } catch (error) {
+        records.error += 1;
+      }
+    }
+
+    const days = parsed.records.map(record => record.date.toISOString().slice(0, 10));
+
+    await User.updateOne({ _id: req.user._id }, {
+      'integrations.appleHealth': {
+        connected: true,
+        lastSync: new Date()
+      }
+    });
+
+    res.json({
+      message: 'Apple Health export imported successfully',
+      summary: {
+        days: days.length,
+        period: {
+          start: days[0],
+          end: days[days.length - 1]
+        },
+        samples: parsed.samples,
+        ignoredSamples: parsed.ignored,
+        records
+      }
+    });
   } catch (error) {
     res.status(500).json({
       error: {
         code: 'INTERNAL_SERVER_ERROR',
-        message: 'Error connecting Apple Health account'
+        message: 'Error importing Apple Health export'
       }
     });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
   }
 });
 
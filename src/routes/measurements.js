@@ -1,18 +1,54 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, check, validationResult } = require('express-validator');
 const { auth, requireProfessional } = require('../middleware/auth');
+const { convertUnits } = require('../middleware/units');
 const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
 const User = require('../models/User');
+const MeasurementProtocol = require('../models/MeasurementProtocol');
+const { EQUATIONS, DENSITY_CONVERSIONS } = require('../utils/bodyFatEquations');
+const { calculatePhantomZScores } = require('../utils/phantom');
+const { READING_GROUPS, TEM_TARGETS } = require('../utils/isak');
+const { compareMeasurements } = require('../utils/change');
+
+// Reject measurements that do not match the sites of their protocol
+const protocolViolation = (res, { missingSites, unexpectedSites }) => res.status(400).json({
+  error: {
+    code: 'PROTOCOL_VIOLATION',
+    message: 'Measurement does not match the protocol',
+    details: {
+      missingSites,
+      unexpectedSites
+    }
+  }
+});
+
+// Validate repeated ISAK readings against the known measurement sites
+const readingValidators = [
+  body('readings').optional().isArray(),
+  body('readings.*.group').isIn(READING_GROUPS),
+  body('readings.*.site').custom((site, { req, path }) => {
+    const index = path.match(/\d+/)[0];
+    if (!AnthropometricMeasurement.schema.path(`${req.body.readings[index].group}.${site}`)) {
+      throw new Error('Unknown measurement site');
+    }
+    return true;
+  }),
+  body('readings.*.values').isArray({ min: 1, max: 3 }),
+  body('readings.*.values.*').isFloat({ min: 0 })
+];
 
 // Create new measurement
 router.post('/anthropometric', [
   auth,
   requireProfessional,
+  convertUnits('anthropometric'),
   body('userId').isMongoId(),
+  body('protocolId').optional().isMongoId(),
   body('date').optional().isISO8601(),
   body('weight').isFloat({ min: 0 }),
   body('height').isFloat({ min: 0 }),
+  body('sittingHeight').optional().isFloat({ min: 0 }),
   body('skinfolds.triceps').optional().isFloat({ min: 0 }),
   body('skinfolds.subscapular').optional().isFloat({ min: 0 }),
   body('skinfolds.biceps').optional().isFloat({ min: 0 }),
@@ -21,6 +57,8 @@ router.post('/anthropometric', [
   body('skinfolds.abdominal').optional().isFloat({ min: 0 }),
   body('skinfolds.thigh').optional().isFloat({ min: 0 }),
   body('skinfolds.calf').optional().isFloat({ min: 0 }),
+  body('skinfolds.chest').optional().isFloat({ min: 0 }),
+  body('skinfolds.midaxillary').optional().isFloat({ min: 0 }),
   body('perimeters.arm').optional().isFloat({ min: 0 }),
   body('perimeters.forearm').optional().isFloat({ min: 0 }),
   body('perimeters.chest').optional().isFloat({ min: 0 }),
@@ -28,7 +66,19 @@ router.post('/anthropometric', [
   body('perimeters.hip').optional().isFloat({ min: 0 }),
   body('perimeters.thigh').optional().isFloat({ min: 0 }),
   body('perimeters.calf').optional().isFloat({ min: 0 }),
+  body('perimeters.flexedArm').optional().isFloat({ min: 0 }),
+  body('perimeters.head').optional().isFloat({ min: 0 }),
+  body('breadths.humerus').optional().isFloat({ min: 0 }),
+  body('breadths.femur').optional().isFloat({ min: 0 }),
+  body('breadths.biacromial').optional().isFloat({ min: 0 }),
+  body('breadths.biiliocristal').optional().isFloat({ min: 0 }),
+  body('breadths.wrist').optional().isFloat({ min: 0 }),
+  body('breadths.transverseChest').optional().isFloat({ min: 0 }),
+  body('breadths.anteroposteriorChest').optional().isFloat({ min: 0 }),
+  ...readingValidators,
   body('bodyFatPercentage').optional().isFloat({ min: 0, max: 100 }),
+  body('bodyFatEstimate.equation').optional().isIn(Object.keys(EQUATIONS)),
+  body('bodyFatEstimate.conversion').optional().isIn(Object.keys(DENSITY_CONVERSIONS)),
   body('notes').optional().isString()
 ], async (req, res) => {
   try {
@@ -53,10 +103,40 @@ router.post('/anthropometric', [
       });
     }
 
+    if (req.body.protocolId) {
+      const protocol = await MeasurementProtocol.findOne({
+        _id: req.body.protocolId,
+        professionalId: req.user._id,
+        isActive: true
+      });
+
+      if (!protocol) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Protocol not found'
+          }
+        });
+      }
+
+      const siteCheck = protocol.checkSites(req.body);
+      if (siteCheck.missingSites.length || siteCheck.unexpectedSites.length) {
+        return protocolViolation(res, siteCheck);
+      }
+
+      if (protocol.defaultBodyFatEquation && !(req.body.bodyFatEstimate && req.body.bodyFatEstimate.equation)) {
+        req.body.bodyFatEstimate = {
+          ...req.body.bodyFatEstimate,
+          equation: protocol.defaultBodyFatEquation
+        };
+      }
+    }
+
     const measurement = new AnthropometricMeasurement({
       ...req.body,
       professionalId: req.user._id
     });
+    measurement.$locals.athlete = user;
 
     await measurement.save();
     res.status(201).json(measurement);
@@ -70,8 +150,99 @@ router.post('/anthropometric', [
   }
 });
 
+// Get available body fat equations
+router.get('/anthropometric/equations', auth, (req, res) => {
+  res.json({
+    equations: Object.entries(EQUATIONS).map(([key, equation]) => ({
+      key,
+      name: equation.name,
+      type: equation.type,
+      sites: equation.sites
+    })),
+    conversions: Object.keys(DENSITY_CONVERSIONS)
+  });
+});
+
+// Get intra-evaluator technical error of measurement for the professional
+router.get('/anthropometric/tem', [auth, requireProfessional], async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const { sessions, sites } = await AnthropometricMeasurement.getProfessionalTEM(req.user._id, { startDate, endDate });
+
+    res.json({
+      sessions,
+      targets: TEM_TARGETS,
+      sites
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating technical error of measurement'
+      }
+    });
+  }
+});
+
+// Compare any two measurement sessions of the same athlete
+router.get('/anthropometric/compare', [
+  auth,
+  convertUnits('anthropometric'),
+  check('from').isMongoId(),
+  check('to').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = req.user.role === 'professional'
+      ? { professionalId: req.user._id }
+      : { userId: req.user._id };
+
+    const [from, to] = await Promise.all([
+      AnthropometricMeasurement.findOne({ _id: req.query.from, ...access }),
+      AnthropometricMeasurement.findOne({ _id: req.query.to, ...access })
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Measurement not found'
+        }
+      });
+    }
+
+    if (String(from.userId) !== String(to.userId)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_COMPARISON',
+          message: 'Both measurements must belong to the same athlete'
+        }
+      });
+    }
+
+    const { sites: temSites } = await AnthropometricMeasurement.getProfessionalTEM(to.professionalId);
+
+    res.json({
+      measurementId: to._id,
+      date: to.date,
+      comparison: compareMeasurements(from.toObject(), to.toObject(), temSites)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error comparing measurements'
+      }
+    });
+  }
+});
+
 // Get measurements
-router.get('/anthropometric', auth, async (req, res) => {
+router.get('/anthropometric', [auth, convertUnits('anthropometric')], async (req, res) => {
   try {
     const { athleteId, startDate, endDate, page = 1, limit = 10 } = req.query;
     
@@ -122,7 +293,7 @@ router.get('/anthropometric', auth, async (req, res) => {
 });
 
 // Get single measurement
-router.get('/anthropometric/:id', auth, async (req, res) => {
+router.get('/anthropometric/:id', [auth, convertUnits('anthropometric')], async (req, res) => {
   try {
     const query = { _id: req.params.id };
     
@@ -154,13 +325,54 @@ router.get('/anthropometric/:id', auth, async (req, res) => {
   }
 });
 
+// Get phantom Z-scores for a measurement
+router.get('/anthropometric/:id/phantom', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+    } else {
+      query.userId = req.user._id;
+    }
+
+    const measurement = await AnthropometricMeasurement.findOne(query);
+
+    if (!measurement) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Measurement not found'
+        }
+      });
+    }
+
+    res.json({
+      measurementId: measurement._id,
+      date: measurement.date,
+      height: measurement.height,
+      ...calculatePhantomZScores(measurement)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating phantom Z-scores'
+      }
+    });
+  }
+});
+
 // Update measurement
 router.put('/anthropometric/:id', [
   auth,
   requireProfessional,
+  convertUnits('anthropometric'),
+  body('protocolId').optional({ values: 'null' }).isMongoId(),
   body('date').optional().isISO8601(),
   body('weight').optional().isFloat({ min: 0 }),
   body('height').optional().isFloat({ min: 0 }),
+  body('sittingHeight').optional().isFloat({ min: 0 }),
   body('skinfolds.triceps').optional().isFloat({ min: 0 }),
   body('skinfolds.subscapular').optional().isFloat({ min: 0 }),
   body('skinfolds.biceps').optional().isFloat({ min: 0 }),
@@ -169,6 +381,8 @@ router.put('/anthropometric/:id', [
   body('skinfolds.abdominal').optional().isFloat({ min: 0 }),
   body('skinfolds.thigh').optional().isFloat({ min: 0 }),
   body('skinfolds.calf').optional().isFloat({ min: 0 }),
+  body('skinfolds.chest').optional().isFloat({ min: 0 }),
+  body('skinfolds.midaxillary').optional().isFloat({ min: 0 }),
   body('perimeters.arm').optional().isFloat({ min: 0 }),
   body('perimeters.forearm').optional().isFloat({ min: 0 }),
   body('perimeters.chest').optional().isFloat({ min: 0 }),
@@ -176,7 +390,19 @@ router.put('/anthropometric/:id', [
   body('perimeters.hip').optional().isFloat({ min: 0 }),
   body('perimeters.thigh').optional().isFloat({ min: 0 }),
   body('perimeters.calf').optional().isFloat({ min: 0 }),
+  body('perimeters.flexedArm').optional().isFloat({ min: 0 }),
+  body('perimeters.head').optional().isFloat({ min: 0 }),
+  body('breadths.humerus').optional().isFloat({ min: 0 }),
+  body('breadths.femur').optional().isFloat({ min: 0 }),
+  body('breadths.biacromial').optional().isFloat({ min: 0 }),
+  body('breadths.biiliocristal').optional().isFloat({ min: 0 }),
+  body('breadths.wrist').optional().isFloat({ min: 0 }),
+  body('breadths.transverseChest').optional().isFloat({ min: 0 }),
+  body('breadths.anteroposteriorChest').optional().isFloat({ min: 0 }),
+  ...readingValidators,
   body('bodyFatPercentage').optional().isFloat({ min: 0, max: 100 }),
+  body('bodyFatEstimate.equation').optional().isIn(Object.keys(EQUATIONS)),
+  body('bodyFatEstimate.conversion').optional().isIn(Object.keys(DENSITY_CONVERSIONS)),
   body('notes').optional().isString()
 ], async (req, res) => {
   try {
@@ -204,6 +430,31 @@ router.put('/anthropometric/:id', [
       measurement[update] = req.body[update];
     });
 
+    // A newly attached protocol must be one of the professional's active
+    // protocols, as on create. Sending a null protocolId detaches it.
+    if (measurement.protocolId) {
+      const protocol = await MeasurementProtocol.findOne({
+        _id: measurement.protocolId,
+        professionalId: req.user._id,
+        ...(req.body.protocolId ? { isActive: true } : {})
+      });
+
+      if (!protocol && req.body.protocolId) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Protocol not found'
+          }
+        });
+      }
+
+      // A protocol deleted outright leaves no sites to check against
+      const siteCheck = protocol && protocol.checkSites(measurement.toObject());
+      if (siteCheck && (siteCheck.missingSites.length || siteCheck.unexpectedSites.length)) {
+        return protocolViolation(res, siteCheck);
+      }
+    }
+
     await measurement.save();
     res.json(measurement);
   } catch (error) {
@@ -217,7 +468,7 @@ router.put('/anthropometric/:id', [
 });
 
 // Delete measurement
-router.delete('/anthropometric/:id', [auth, requireProfessional], async (req, res) => {
+router.delete('/anthropometric/:id', [auth, requireProfessional, convertUnits('anthropometric')], async (req, res) => {
   try {
     const measurement = await AnthropometricMeasurement.findOneAndDelete({
       _id: req.params.id,
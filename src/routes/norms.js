@@ -0,0 +1,452 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { body, check, param, validationResult } = require('express-validator');
+const { auth, requireProfessional, requireAdminKey } = require('../middleware/auth');
+const NormativeDataset = require('../models/NormativeDataset');
+const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
+const User = require('../models/User');
+const {
+  AGE_BANDS,
+  MIN_COHORT_SIZE,
+  getValue,
+  buildVariableNorm,
+  percentileRank,
+  parseNormTable
+} = require('../utils/norms');
+const { isNumber } = require('../utils/math');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+// Measurement variables aggregated into platform norms
+const NORM_VARIABLES = [
+  'weight',
+  'height',
+  'bodyFatPercentage',
+  'leanMass',
+  ...Object.keys(AnthropometricMeasurement.schema.paths)
+    .filter(schemaPath => /^(skinfolds|perimeters|breadths)\./.test(schemaPath)),
+  'derived.bmi',
+  'derived.sumOf6Skinfolds',
+  'derived.sumOf8Skinfolds',
+  'derived.waistToHipRatio',
+  'derived.fatFreeMassIndex',
+  'derived.fatMassIndex',
+  'somatotype.endomorphy',
+  'somatotype.mesomorphy',
+  'somatotype.ectomorphy'
+];
+
+// Read the first worksheet of an uploaded CSV or XLSX file into plain rows
+const readWorksheetRows = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (path.extname(file.originalname).toLowerCase() === '.csv') {
+    worksheet = await workbook.csv.read(Readable.from(file.buffer));
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  const rows = [];
+  if (worksheet) {
+    worksheet.eachRow(row => {
+      rows.push(row.values.slice(1).map(cell => (cell && cell.result !== undefined ? cell.result : cell)));
+    });
+  }
+  return rows;
+};
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : undefined);
+
+// Datasets a user may compare against: platform norms plus the uploads of
+// the responsible professional
+const visibleDatasetsQuery = (user) => ({
+  $or: [
+    { source: 'platform' },
+    { source: 'upload', professionalId: user.role === 'professional' ? user._id : user.professionalId }
+  ]
+});
+
+// Does a dataset cohort include the athlete at a given age? Unset cohort
+// fields match anyone.
+const matchesCohort = ({ cohort = {} }, athlete, age) => {
+  if (cohort.sport && normalize(cohort.sport) !== normalize(athlete.sport)) return false;
+  if (cohort.position && normalize(cohort.position) !== normalize(athlete.position)) return false;
+  if (cohort.gender && cohort.gender !== athlete.gender) return false;
+  if (isNumber(cohort.minAge) && !(age >= cohort.minAge)) return false;
+  if (isNumber(cohort.maxAge) && !(age <= cohort.maxAge)) return false;
+  return true;
+};
+
+// Prefer the professional's own tables, then the most specific cohort
+const cohortSpecificity = ({ source, cohort = {} }) => (source === 'upload' ? 16 : 0) +
+  (cohort.position ? 8 : 0) +
+  (cohort.sport ? 4 : 0) +
+  (cohort.gender ? 2 : 0) +
+  (isNumber(cohort.minAge) || isNumber(cohort.maxAge) ? 1 : 0);
+
+// Upload a reference table
+router.post('/upload', [
+  auth,
+  requireProfessional,
+  upload.single('file'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('description').optional().isString(),
+  body('sport').optional().trim(),
+  body('position').optional().trim(),
+  body('gender').optional().isIn(['male', 'female', 'other']),
+  body('minAge').optional().isInt({ min: 0 }),
+  body('maxAge').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_FILE',
+          message: 'A CSV or XLSX file is required'
+        }
+      });
+    }
+
+    let variables;
+    try {
+      variables = parseNormTable(await readWorksheetRows(req.file));
+    } catch (parseError) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_FILE',
+          message: parseError.message
+        }
+      });
+    }
+
+    if (!variables.length) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_FILE',
+          message: 'No variable rows with mean/sd or percentile columns were found'
+        }
+      });
+    }
+
+    const { name, description, sport, position, gender, minAge, maxAge } = req.body;
+    const dataset = new NormativeDataset({
+      name,
+      description,
+      source: 'upload',
+      professionalId: req.user._id,
+      cohort: { sport, position, gender, minAge, maxAge },
+      variables
+    });
+
+    await dataset.save();
+    res.status(201).json(dataset);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error uploading reference table'
+      }
+    });
+  }
+});
+
+// Rebuild norms from the platform's anonymized population, using the latest
+// measurement of every athlete and only publishing large enough cohorts.
+// Platform norms are shared by every professional, so only administrators and
+// scheduled jobs may rebuild them.
+router.post('/platform/rebuild', requireAdminKey, async (req, res) => {
+  try {
+    const [athletes, latestMeasurements] = await Promise.all([
+      User.find({ role: 'athlete' }).select('gender age dateOfBirth sport position'),
+      AnthropometricMeasurement.aggregate([
+        { $sort: { userId: 1, date: -1 } },
+        { $group: { _id: '$userId', measurement: { $first: '$$ROOT' } } }
+      ])
+    ]);
+
+    const athletesById = new Map(athletes.map(athlete => [String(athlete._id), athlete]));
+    const cohorts = new Map();
+
+    latestMeasurements.forEach(({ _id, measurement }) => {
+      const athlete = athletesById.get(String(_id));
+      if (!athlete || !athlete.gender) return;
+
+      const age = athlete.getAge(measurement.date);
+      const band = AGE_BANDS.find(({ minAge, maxAge }) => age >= minAge && age <= maxAge);
+      const sport = normalize(athlete.sport);
+      const position = normalize(athlete.position);
+
+      const baseCohorts = [{ gender: athlete.gender }];
+      if (sport) baseCohorts.push({ sport, gender: athlete.gender });
+      if (sport && position) baseCohorts.push({ sport, position, gender: athlete.gender });
+
+      const athleteCohorts = band ? [...baseCohorts, ...baseCohorts.map(cohort => ({ ...cohort, ...band }))] : baseCohorts;
+
+      athleteCohorts.forEach(cohort => {
+        const key = JSON.stringify(cohort);
+        if (!cohorts.has(key)) {
+          cohorts.set(key, { cohort, measurements: [] });
+        }
+        cohorts.get(key).measurements.push(measurement);
+      });
+    });
+
+    const datasets = [...cohorts.values()]
+      .filter(({ measurements }) => measurements.length >= MIN_COHORT_SIZE)
+      .map(({ cohort, measurements }) => ({
+        name: ['Platform', cohort.sport, cohort.position, cohort.gender,
+          isNumber(cohort.minAge) ? `${cohort.minAge}-${cohort.maxAge}` : undefined].filter(Boolean).join(' '),
+        source: 'platform',
+        cohort,
+        variables: NORM_VARIABLES
+          .map(variable => ({
+            variable,
+            values: measurements.map(measurement => getValue(measurement, variable)).filter(isNumber)
+          }))
+          .filter(({ values }) => values.length >= MIN_COHORT_SIZE)
+          .map(({ variable, values }) => buildVariableNorm(variable, values))
+      }));
+
+    // Swap the new set in as one transaction, so a failed insert or a
+    // concurrent rebuild never leaves readers without norms or with duplicates
+    await NormativeDataset.db.transaction(async (session) => {
+      await NormativeDataset.deleteMany({ source: 'platform' }, { session });
+      await NormativeDataset.insertMany(datasets, { session });
+    });
+
+    res.json({
+      athletes: latestMeasurements.length,
+      datasets: datasets.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error rebuilding platform norms'
+      }
+    });
+  }
+});
+
+// Get percentile ranks of an athlete's measurement against the matching cohort
+router.get('/percentiles/:userId', [
+  auth,
+  param('userId').isMongoId(),
+  check('measurementId').optional().isMongoId(),
+  check('datasetId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { measurementId, datasetId } = req.query;
+
+    const athleteQuery = { _id: req.params.userId, role: 'athlete' };
+    if (req.user.role === 'professional') {
+      athleteQuery.professionalId = req.user._id;
+    } else if (String(req.user._id) !== req.params.userId) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    const athlete = await User.findOne(athleteQuery);
+    if (!athlete) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found or not assigned to you'
+        }
+      });
+    }
+
+    const measurementQuery = { userId: athlete._id };
+    if (measurementId) {
+      measurementQuery._id = measurementId;
+    }
+    const measurement = await AnthropometricMeasurement.findOne(measurementQuery).sort({ date: -1 });
+
+    if (!measurement) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Measurement not found'
+        }
+      });
+    }
+
+    const datasetQuery = visibleDatasetsQuery(req.user);
+    if (datasetId) {
+      datasetQuery._id = datasetId;
+    }
+    const dataset = (await NormativeDataset.find(datasetQuery))
+      .filter(candidate => datasetId || matchesCohort(candidate, athlete, athlete.getAge(measurement.date)))
+      .sort((a, b) => cohortSpecificity(b) - cohortSpecificity(a))[0];
+
+    if (!dataset) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'No normative dataset matches this athlete'
+        }
+      });
+    }
+
+    const values = measurement.toObject();
+
+    res.json({
+      measurementId: measurement._id,
+      date: measurement.date,
+      dataset: {
+        id: dataset._id,
+        name: dataset.name,
+        source: dataset.source,
+        cohort: dataset.cohort
+      },
+      percentiles: dataset.variables
+        .map(norm => ({ norm, value: getValue(values, norm.variable) }))
+        .filter(({ value }) => isNumber(value))
+        .map(({ norm, value }) => ({
+          variable: norm.variable,
+          value,
+          percentile: percentileRank(value, norm),
+          n: norm.n
+        }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating percentiles'
+      }
+    });
+  }
+});
+
+// Get available normative datasets
+router.get('/', auth, async (req, res) => {
+  try {
+    const { source, sport, gender, page = 1, limit = 10 } = req.query;
+
+    const query = visibleDatasetsQuery(req.user);
+
+    if (source) {
+      query.source = source;
+    }
+    if (sport) {
+      query['cohort.sport'] = { $regex: sport, $options: 'i' };
+    }
+    if (gender) {
+      query['cohort.gender'] = gender;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [datasets, total] = await Promise.all([
+      NormativeDataset.find(query)
+        .select('-variables')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      NormativeDataset.countDocuments(query)
+    ]);
+
+    res.json({
+      data: datasets,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching normative datasets'
+      }
+    });
+  }
+});
+
+// Get single normative dataset
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dataset = await NormativeDataset.findOne({
+      _id: req.params.id,
+      ...visibleDatasetsQuery(req.user)
+    });
+
+    if (!dataset) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Normative dataset not found'
+        }
+      });
+    }
+
+    res.json(dataset);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching normative dataset'
+      }
+    });
+  }
+});
+
+// Delete uploaded reference table
+router.delete('/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const dataset = await NormativeDataset.findOneAndDelete({
+      _id: req.params.id,
+      source: 'upload',
+      professionalId: req.user._id
+    });
+
+    if (!dataset) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Normative dataset not found'
+        }
+      });
+    }
+
+    res.json(dataset);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting normative dataset'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -2,19 +2,262 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { auth, requireProfessional } = require('../middleware/auth');
+const { convertUnits } = require('../middleware/units');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
+const PerformanceTest = require('../models/PerformanceTest');
 const User = require('../models/User');
+const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
+const { FIELD_TESTS, estimateVo2max } = require('../utils/vo2max');
+const { maxWeighInAgeDays, normalizePerformance } = require('../utils/normalization');
+const { WORKLOAD_HISTORY_DAYS, DAY_MS, dayKey, aggregateDailyLoads, calculateWorkload } = require('../utils/workload');
+const { testResultToMetric } = require('../utils/units');
+
+// Performance records with values relative to the nearest weigh-in
+const withNormalized = async (records, maxAgeDays) => {
+  const measurements = await AnthropometricMeasurement.getWeighIns([...new Set(records.map(record => String(record.userId)))]);
+  return records.map(record => ({
+    ...record.toJSON(),
+    normalized: normalizePerformance(record, measurements, { maxAgeDays })
+  }));
+};
+
+const resultValidators = [
+  body('results').optional().isArray().withMessage('Results must be an array'),
+  body('results.*.testId').isMongoId().withMessage('Valid test ID is required'),
+  body('results.*.attempts').optional().isArray({ min: 1 }).withMessage('Attempts must be a non-empty array'),
+  body('results.*.attempts.*').isFloat().withMessage('Attempts must be numbers'),
+  body('results.*.value').optional().isFloat().withMessage('Result value must be a number')
+];
+
+// Check results against the catalog tests visible to the professional and
+// take the best attempt as the result value, in metric units. Returns the
+// errors found.
+const resolveResults = async (results, professionalId, units) => {
+  const tests = await PerformanceTest.find({
+    ...PerformanceTest.visibleTo(professionalId),
+    _id: { $in: results.map(result => result.testId) },
+    isActive: true
+  });
+  const testsById = new Map(tests.map(test => [String(test._id), test]));
+
+  return results.reduce((errors, result, index) => {
+    const test = testsById.get(String(result.testId));
+    const attempts = result.attempts || [];
+
+    if (!test) {
+      errors.push({ field: `results[${index}].testId`, message: 'Performance test not found' });
+    } else if (attempts.length > test.attempts) {
+      errors.push({ field: `results[${index}].attempts`, message: `${test.name} allows at most ${test.attempts} attempts` });
+    } else if (attempts.length) {
+      testResultToMetric(result, test, units);
+      result.value = test.bestAttempt(result.attempts.map(Number));
+    } else if (result.value === undefined) {
+      errors.push({ field: `results[${index}].value`, message: 'A value or attempts are required' });
+    } else {
+      testResultToMetric(result, test, units);
+    }
+    return errors;
+  }, []);
+};
+
+const invalidResults = (res, details) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Invalid test results',
+    details
+  }
+});
+
+const testValidators = [
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('category').optional().isIn(PerformanceTest.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('attempts').optional().isInt({ min: 1 }).withMessage('Attempts must be a positive integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Get the performance test catalog
+router.get('/tests', auth, async (req, res) => {
+  try {
+    const { category, active } = req.query;
+    const professionalId = req.user.role === 'professional' ? req.user._id : req.user.professionalId;
+
+    const query = PerformanceTest.visibleTo(professionalId);
+    if (category) {
+      query.category = category;
+    }
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const tests = await PerformanceTest.find(query).sort({ category: 1, name: 1 });
+    res.json({ data: tests });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching performance tests'
+      }
+    });
+  }
+});
+
+// Create a custom performance test
+router.post('/tests', [
+  auth,
+  requireProfessional,
+  body('key').matches(/^[a-z0-9_]+$/).withMessage('Key must contain lowercase letters, digits and underscores'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('unit').trim().notEmpty().withMessage('Unit is required'),
+  body('betterDirection').isIn(['higher', 'lower']).withMessage('Better direction must be higher or lower'),
+  ...testValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array().map(err => ({
+            field: err.path,
+            message: err.msg
+          }))
+        }
+      });
+    }
+
+    const existing = await PerformanceTest.findOne({ key: req.body.key, professionalId: req.user._id });
+    if (existing) {
+      return res.status(400).json({
+        error: {
+          code: 'DUPLICATE_TEST',
+          message: 'A test with this key already exists'
+        }
+      });
+    }
+
+    const test = new PerformanceTest({
+      ...req.body,
+      professionalId: req.user._id
+    });
+
+    await test.save();
+    res.status(201).json(test);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating performance test'
+      }
+    });
+  }
+});
+
+// Update a custom performance test
+router.put('/tests/:id', [
+  auth,
+  requireProfessional,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+  body('betterDirection').optional().isIn(['higher', 'lower']).withMessage('Better direction must be higher or lower'),
+  ...testValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const test = await PerformanceTest.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!test) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Performance test not found'
+        }
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['name', 'description', 'unit', 'betterDirection', 'category', 'attempts', 'isActive'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_UPDATE',
+          message: 'Invalid updates'
+        }
+      });
+    }
+
+    updates.forEach(update => {
+      test[update] = req.body[update];
+    });
+
+    await test.save();
+    res.json(test);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating performance test'
+      }
+    });
+  }
+});
+
+// Delete a custom performance test, tests with results are deactivated instead
+router.delete('/tests/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const test = await PerformanceTest.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!test) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Performance test not found'
+        }
+      });
+    }
+
+    if (await PerformanceMetrics.exists({ 'results.testId': test._id })) {
+      test.isActive = false;
+      await test.save();
+    } else {
+      await test.deleteOne();
+    }
+
+    res.json(test);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting performance test'
+      }
+    });
+  }
+});
 
 // Create new performance record
 router.post('/', [
   auth,
   requireProfessional,
+  convertUnits('performance'),
   body('userId').isMongoId().withMessage('Valid user ID is required'),
   body('date').optional().isISO8601().withMessage('Valid date is required'),
   body('vo2max').optional().isFloat({ min: 0 }).withMessage('VO2 max must be a positive number'),
   body('power').optional().isFloat({ min: 0 }).withMessage('Power must be a positive number'),
   body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number'),
   body('trainingLoad').optional().isFloat({ min: 0 }).withMessage('Training load must be a positive number'),
+  ...resultValidators,
   body('sport').optional().isString().withMessage('Sport must be a string'),
   body('position').optional().isString().withMessage('Position must be a string'),
   body('notes').optional().isString().withMessage('Notes must be a string')
@@ -27,7 +270,7 @@ router.post('/', [
           code: 'VALIDATION_ERROR',
           message: 'Validation failed',
           details: errors.array().map(err => ({
-            field: err.param,
+            field: err.path,
             message: err.msg
           }))
         }
@@ -50,12 +293,20 @@ router.post('/', [
       });
     }
 
+    if (req.body.results) {
+      const resultErrors = await resolveResults(req.body.results, req.user._id, req.units);
+      if (resultErrors.length) {
+        return invalidResults(res, resultErrors);
+      }
+    }
+
     const performance = new PerformanceMetrics({
       ...req.body,
       professionalId: req.user._id
     });
 
     await performance.save();
+    await performance.populate('results.testId', 'key name unit betterDirection category');
     res.status(201).json(performance);
   } catch (error) {
     console.error('Error creating performance record:', error);
@@ -69,9 +320,9 @@ router.post('/', [
 });
 
 // Get performance records
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, convertUnits('performance')], async (req, res) => {
   try {
-    const { userId, startDate, endDate, sport, page = 1, limit = 10 } = req.query;
+    const { userId, testId, startDate, endDate, sport, page = 1, limit = 10 } = req.query;
     
     const query = {};
     
@@ -96,8 +347,13 @@ router.get('/', auth, async (req, res) => {
 
     const skip = (page - 1) * limit;
 
+    if (testId) {
+      query['results.testId'] = testId;
+    }
+
     const [records, total] = await Promise.all([
       PerformanceMetrics.find(query)
+        .populate('results.testId', 'key name unit betterDirection category')
         .sort({ date: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
@@ -105,7 +361,7 @@ router.get('/', auth, async (req, res) => {
     ]);
 
     res.json({
-      data: records,
+      data: await withNormalized(records, maxWeighInAgeDays(req.query.maxWeighInAgeDays)),
       pagination: {
         total,
         page: parseInt(page),
@@ -123,8 +379,187 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get the field tests VO2max can be estimated from
+router.get('/vo2max/tests', auth, (req, res) => {
+  res.json({
+    data: Object.entries(FIELD_TESTS).map(([key, { name, equation, inputs, athleteInputs }]) => ({
+      key,
+      name,
+      equation,
+      inputs,
+      athleteInputs
+    }))
+  });
+});
+
+// Estimate VO2max from a field test and store it as a performance record
+router.post('/vo2max/estimate', [
+  auth,
+  requireProfessional,
+  convertUnits('performance'),
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('test').isIn(Object.keys(FIELD_TESTS)).withMessage('Unknown field test'),
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('inputs.distance').optional().isFloat({ min: 0 }).withMessage('Distance must be a positive number of metres'),
+  body('inputs.stage').optional().isFloat({ min: 1 }).withMessage('Stage must be at least 1'),
+  body('inputs.speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number'),
+  body('inputs.time').optional().isFloat({ min: 0 }).withMessage('Time must be a positive number of minutes'),
+  body('inputs.heartRate').optional().isFloat({ min: 0 }).withMessage('Heart rate must be a positive number'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array().map(err => ({
+            field: err.path,
+            message: err.msg
+          }))
+        }
+      });
+    }
+
+    // Verify user exists and is assigned to the professional
+    const user = await User.findOne({
+      _id: req.body.userId,
+      role: 'athlete',
+      professionalId: req.user._id
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found or not assigned to you'
+        }
+      });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    const measurement = await AnthropometricMeasurement.findOne({
+      userId: user._id,
+      date: { $lte: date }
+    }).sort({ date: -1 });
+
+    const inputs = Object.entries(req.body.inputs || {}).reduce((values, [key, value]) => {
+      values[key] = Number(value);
+      return values;
+    }, {});
+    const estimate = estimateVo2max(req.body.test, inputs, {
+      gender: user.gender,
+      age: user.getAge(date),
+      weight: measurement ? measurement.weight : undefined
+    });
+
+    if (estimate.missingInputs.length) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_INPUTS',
+          message: `${FIELD_TESTS[req.body.test].name} needs: ${estimate.missingInputs.join(', ')}`,
+          details: estimate.missingInputs.map(input => ({ field: input, message: 'Required by the equation' }))
+        }
+      });
+    }
+
+    const performance = new PerformanceMetrics({
+      userId: user._id,
+      professionalId: req.user._id,
+      date,
+      // Equations without body mass still store the relative estimate, the
+      // absolute value waits for a weigh-in
+      vo2max: estimate.absolute,
+      vo2maxEstimate: {
+        test: estimate.test,
+        equation: estimate.equation,
+        inputs: estimate.inputs,
+        relative: estimate.relative,
+        bodyMass: estimate.bodyMass
+      },
+      sport: user.sport,
+      position: user.position,
+      notes: req.body.notes
+    });
+
+    await performance.save();
+    res.status(201).json(performance);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error estimating VO2max'
+      }
+    });
+  }
+});
+
+// Get an athlete's daily training load with acute:chronic workload ratios
+router.get('/workload/:userId', auth, async (req, res) => {
+  try {
+    const { model = 'ewma' } = req.query;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(endDate - 90 * DAY_MS);
+
+    if (!['ewma', 'rolling'].includes(model) || Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Model must be ewma or rolling and dates must be valid'
+        }
+      });
+    }
+
+    const athleteQuery = { _id: req.params.userId, role: 'athlete' };
+    if (req.user.role === 'professional') {
+      athleteQuery.professionalId = req.user._id;
+    } else if (String(req.user._id) !== req.params.userId) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    const athlete = await User.findOne(athleteQuery);
+    if (!athlete) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found or not assigned to you'
+        }
+      });
+    }
+
+    // Load earlier days too so the chronic load is warmed up at the start
+    const historyStart = new Date(startDate - WORKLOAD_HISTORY_DAYS * DAY_MS);
+    const entries = await PerformanceMetrics.getLoadEntries(athlete._id, { startDate: historyStart, endDate });
+    const series = calculateWorkload(aggregateDailyLoads(entries, { startDate: historyStart, endDate }), { model })
+      .filter(day => day.date >= dayKey(startDate));
+
+    res.json({
+      userId: athlete._id,
+      model,
+      startDate: dayKey(startDate),
+      endDate: dayKey(endDate),
+      current: series[series.length - 1],
+      flaggedDays: series.filter(day => day.outsideSweetSpot).length,
+      series
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating workload'
+      }
+    });
+  }
+});
+
 // Get single performance record
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, convertUnits('performance')], async (req, res) => {
   try {
     const query = { _id: req.params.id };
     
@@ -134,7 +569,8 @@ router.get('/:id', auth, async (req, res) => {
       query.userId = req.user._id;
     }
 
-    const record = await PerformanceMetrics.findOne(query);
+    const record = await PerformanceMetrics.findOne(query)
+      .populate('results.testId', 'key name unit betterDirection category');
 
     if (!record) {
       return res.status(404).json({
@@ -145,7 +581,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    res.json(record);
+    const [normalizedRecord] = await withNormalized([record], maxWeighInAgeDays(req.query.maxWeighInAgeDays));
+    res.json(normalizedRecord);
   } catch (error) {
     res.status(500).json({
       error: {
@@ -160,11 +597,13 @@ router.get('/:id', auth, async (req, res) => {
 router.put('/:id', [
   auth,
   requireProfessional,
+  convertUnits('performance'),
   body('date').optional().isISO8601(),
   body('vo2max').optional().isFloat({ min: 0 }),
   body('power').optional().isFloat({ min: 0 }),
   body('speed').optional().isFloat({ min: 0 }),
   body('trainingLoad').optional().isFloat({ min: 0 }),
+  ...resultValidators,
   body('sport').optional().isString(),
   body('position').optional().isString(),
   body('notes').optional().isString()
@@ -189,12 +628,20 @@ router.put('/:id', [
       });
     }
 
+    if (req.body.results) {
+      const resultErrors = await resolveResults(req.body.results, req.user._id, req.units);
+      if (resultErrors.length) {
+        return invalidResults(res, resultErrors);
+      }
+    }
+
     const updates = Object.keys(req.body);
     updates.forEach(update => {
       record[update] = req.body[update];
     });
 
     await record.save();
+    await record.populate('results.testId', 'key name unit betterDirection category');
     res.json(record);
   } catch (error) {
     res.status(500).json({
@@ -207,7 +654,7 @@ router.put('/:id', [
 });
 
 // Delete performance record
-router.delete('/:id', [auth, requireProfessional], async (req, res) => {
+router.delete('/:id', [auth, requireProfessional, convertUnits('performance')], async (req, res) => {
   try {
     const record = await PerformanceMetrics.findOneAndDelete({
       _id: req.params.id,
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, requireProfessional } = require('../middleware/auth');
+const MeasurementProtocol = require('../models/MeasurementProtocol');
+const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
+const { EQUATIONS } = require('../utils/bodyFatEquations');
+
+// Sites must name a skinfold, girth or breadth of the measurement schema
+const isMeasurementSite = (site) => {
+  if (!/^(skinfolds|perimeters|breadths)\.|^sittingHeight$/.test(site) ||
+      !AnthropometricMeasurement.schema.path(site)) {
+    throw new Error(`Unknown measurement site: ${site}`);
+  }
+  return true;
+};
+
+const protocolValidators = [
+  body('description').optional().isString(),
+  body('requiredSites').optional().isArray(),
+  body('requiredSites.*').custom(isMeasurementSite),
+  body('optionalSites').optional().isArray(),
+  body('optionalSites.*').custom(isMeasurementSite),
+  body('defaultBodyFatEquation').optional().isIn(Object.keys(EQUATIONS)),
+  body('equipment.caliper').optional().isString(),
+  body('equipment.tape').optional().isString(),
+  body('equipment.anthropometer').optional().isString(),
+  body('equipment.scale').optional().isString(),
+  body('equipment.stadiometer').optional().isString(),
+  body('isActive').optional().isBoolean()
+];
+
+// Create new protocol
+router.post('/', [
+  auth,
+  requireProfessional,
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...protocolValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const protocol = new MeasurementProtocol({
+      ...req.body,
+      professionalId: req.user._id
+    });
+
+    await protocol.save();
+    res.status(201).json(protocol);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating protocol'
+      }
+    });
+  }
+});
+
+// Get protocols
+router.get('/', [auth, requireProfessional], async (req, res) => {
+  try {
+    const { active, page = 1, limit = 10 } = req.query;
+
+    const query = { professionalId: req.user._id };
+
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [protocols, total] = await Promise.all([
+      MeasurementProtocol.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      MeasurementProtocol.countDocuments(query)
+    ]);
+
+    res.json({
+      data: protocols,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching protocols'
+      }
+    });
+  }
+});
+
+// Get single protocol
+router.get('/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const protocol = await MeasurementProtocol.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!protocol) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Protocol not found'
+        }
+      });
+    }
+
+    res.json(protocol);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching protocol'
+      }
+    });
+  }
+});
+
+// Update protocol
+router.put('/:id', [
+  auth,
+  requireProfessional,
+  body('name').optional().trim().notEmpty(),
+  ...protocolValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const protocol = await MeasurementProtocol.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!protocol) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Protocol not found'
+        }
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['name', 'description', 'requiredSites', 'optionalSites', 'defaultBodyFatEquation', 'equipment', 'isActive'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_UPDATE',
+          message: 'Invalid updates'
+        }
+      });
+    }
+
+    updates.forEach(update => {
+      protocol[update] = req.body[update];
+    });
+
+    await protocol.save();
+    res.json(protocol);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating protocol'
+      }
+    });
+  }
+});
+
+// Delete protocol, protocols used by measurements are deactivated instead
+router.delete('/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const protocol = await MeasurementProtocol.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!protocol) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Protocol not found'
+        }
+      });
+    }
+
+    if (await AnthropometricMeasurement.exists({ protocolId: protocol._id })) {
+      protocol.isActive = false;
+      await protocol.save();
+    } else {
+      await protocol.deleteOne();
+    }
+
+    res.json(protocol);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting protocol'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -7,11 +7,16 @@ const User = require('../models/User');
 const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
 const HealthMetrics = require('../models/HealthMetrics');
+const { resolveUnits } = require('../middleware/units');
+const { calculatePhantomZScores } = require('../utils/phantom');
+const { fromMetric, unitLabels } = require('../utils/units');
+const { maxWeighInAgeDays, normalizePerformance } = require('../utils/normalization');
 
 // Generate new report
 router.post('/', [
   auth,
   requireProfessional,
+  resolveUnits,
   body('userId').isMongoId(),
   body('type').isIn(['individual', 'group']),
   body('format').isIn(['pdf', 'excel']),
@@ -55,24 +60,39 @@ router.post('/', [
       query.date.$lte = new Date(req.body.endDate);
     }
 
-    const [measurements, performance, health] = await Promise.all([
+    const [measurements, performance, health, weighIns] = await Promise.all([
       AnthropometricMeasurement.find(query),
       PerformanceMetrics.find(query),
-      HealthMetrics.find(query)
+      HealthMetrics.find(query),
+      AnthropometricMeasurement.getWeighIns(req.body.userId)
     ]);
 
     // Generate report content
     const content = {
       user: {
         name: user.name,
-        age: user.age,
+        age: user.getAge(),
         gender: user.gender,
         sport: user.sport,
         position: user.position
       },
-      measurements,
-      performance,
-      health,
+      measurements: measurements.map(measurement => fromMetric(measurement, 'anthropometric', req.units)),
+      phantom: measurements.map(measurement => ({
+        measurementId: measurement._id,
+        date: measurement.date,
+        ...calculatePhantomZScores(measurement)
+      })),
+      performance: performance.map(record => fromMetric({
+        ...record.toJSON(),
+        normalized: normalizePerformance(record, weighIns, { maxAgeDays: maxWeighInAgeDays() })
+      }, 'performance', req.units)),
+      health: health.map(record => fromMetric(record, 'health', req.units)),
+      units: {
+        system: req.units,
+        measurements: unitLabels('anthropometric', req.units),
+        performance: unitLabels('performance', req.units),
+        health: unitLabels('health', req.units)
+      },
       period: {
         start: req.body.startDate,
         end: req.body.endDate
@@ -0,0 +1,417 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, requireProfessional } = require('../middleware/auth');
+const { resolveUnits } = require('../middleware/units');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
+const PerformanceMetrics = require('../models/PerformanceMetrics');
+const HealthMetrics = require('../models/HealthMetrics');
+const { getValue } = require('../utils/norms');
+const { fromMetric, unitLabels } = require('../utils/units');
+const { round, mean, isNumber } = require('../utils/math');
+const { groupAnalytics } = require('../utils/groupStats');
+
+// Metrics aggregated per source. Anthropometric and performance use each
+// athlete's latest record in the period, health the athlete's mean.
+const ANALYTICS_SOURCES = {
+  anthropometric: {
+    Model: AnthropometricMeasurement,
+    summary: 'latest',
+    variables: ['weight', 'height', 'bodyFatPercentage', 'leanMass', 'derived.bmi', 'derived.sumOf6Skinfolds',
+      'derived.sumOf8Skinfolds', 'somatotype.endomorphy', 'somatotype.mesomorphy', 'somatotype.ectomorphy']
+  },
+  performance: {
+    Model: PerformanceMetrics,
+    summary: 'latest',
+    variables: ['vo2max', 'power', 'speed', 'trainingLoad']
+  },
+  health: {
+    Model: HealthMetrics,
+    summary: 'mean',
+    variables: ['restingHeartRate', 'heartRateVariability', 'sleep.duration', 'sleep.quality', 'stress', 'steps']
+  }
+};
+
+const teamValidators = [
+  body('sport').optional().trim(),
+  body('seasons').optional().isArray(),
+  body('seasons.*.label').trim().notEmpty().withMessage('Season label is required'),
+  body('seasons.*.startDate').isISO8601().withMessage('Season start date is required'),
+  body('seasons.*.endDate').optional().isISO8601(),
+  body('members').optional().isArray(),
+  body('members.*.userId').isMongoId().withMessage('Valid member user ID is required'),
+  body('members.*.position').optional().trim(),
+  body('members.*.jerseyNumber').optional().isInt({ min: 0 }),
+  body('members.*.season').optional().trim(),
+  body('isActive').optional().isBoolean()
+];
+
+// Members must be athletes assigned to the professional
+const findUnassignedMembers = async (members, professionalId) => {
+  const userIds = [...new Set(members.map(member => String(member.userId)))];
+  const athletes = await User.find({
+    _id: { $in: userIds },
+    role: 'athlete',
+    professionalId
+  }).select('_id');
+  const assigned = new Set(athletes.map(athlete => String(athlete._id)));
+  return userIds.filter(userId => !assigned.has(userId));
+};
+
+const unassignedMembers = (res, userIds) => res.status(400).json({
+  error: {
+    code: 'INVALID_MEMBERS',
+    message: 'Members must be athletes assigned to you',
+    details: userIds.map(userId => ({ field: 'members', message: `User ${userId} is not assigned to you` }))
+  }
+});
+
+// Create new team
+router.post('/', [
+  auth,
+  requireProfessional,
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...teamValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unassigned = await findUnassignedMembers(req.body.members || [], req.user._id);
+    if (unassigned.length) {
+      return unassignedMembers(res, unassigned);
+    }
+
+    const team = new Team({
+      ...req.body,
+      professionalId: req.user._id
+    });
+
+    await team.save();
+    res.status(201).json(team);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating team'
+      }
+    });
+  }
+});
+
+// Get teams
+router.get('/', [auth, requireProfessional], async (req, res) => {
+  try {
+    const { sport, active, page = 1, limit = 10 } = req.query;
+
+    const query = { professionalId: req.user._id };
+
+    if (sport) {
+      query.sport = { $regex: sport, $options: 'i' };
+    }
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [teams, total] = await Promise.all([
+      Team.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Team.countDocuments(query)
+    ]);
+
+    res.json({
+      data: teams,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching teams'
+      }
+    });
+  }
+});
+
+// Aggregate a team's metrics, for the whole squad and per position
+router.get('/:id/analytics', [auth, requireProfessional, resolveUnits], async (req, res) => {
+  try {
+    const { source = 'anthropometric', season } = req.query;
+    const definition = ANALYTICS_SOURCES[source];
+
+    if (!definition) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_SOURCE',
+          message: `Source must be one of: ${Object.keys(ANALYTICS_SOURCES).join(', ')}`
+        }
+      });
+    }
+
+    // ?variables=a,b and ?variables=a&variables=b are both accepted
+    const variables = req.query.variables
+      ? [].concat(req.query.variables).join(',').split(',').map(variable => variable.trim()).filter(Boolean)
+      : definition.variables;
+    const unknownVariables = variables.filter(variable => !definition.variables.includes(variable));
+    if (unknownVariables.length) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_VARIABLES',
+          message: `Unknown ${source} variables: ${unknownVariables.join(', ')}`
+        }
+      });
+    }
+
+    const team = await Team.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    const seasonPeriod = season ? team.seasons.find(entry => entry.label === season) : undefined;
+    if (season && !seasonPeriod) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Season not found'
+        }
+      });
+    }
+
+    // The season bounds the period unless dates are given
+    const startDate = req.query.startDate || (seasonPeriod && seasonPeriod.startDate);
+    const endDate = req.query.endDate || (seasonPeriod && seasonPeriod.endDate);
+    const members = team.getMembers(season);
+    const userIds = members.map(member => member.userId);
+
+    const recordQuery = { userId: { $in: userIds } };
+    if (startDate || endDate) {
+      recordQuery.date = {};
+      if (startDate) recordQuery.date.$gte = new Date(startDate);
+      if (endDate) recordQuery.date.$lte = new Date(endDate);
+    }
+
+    // Health is merged across sources so devices are not counted twice
+    const [users, records] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select('name'),
+      source === 'health'
+        ? HealthMetrics.getDailyConsolidated(userIds, { startDate, endDate })
+        : definition.Model.find(recordQuery).sort({ date: 1 })
+    ]);
+    const namesById = new Map(users.map(user => [String(user._id), user.name]));
+
+    const athletes = members.map(member => {
+      const athleteRecords = records
+        .filter(record => String(record.userId) === String(member.userId))
+        .map(record => fromMetric(record, source, req.units));
+      const latest = athleteRecords[athleteRecords.length - 1];
+
+      // Records are sparse, so the latest value of each variable may come from
+      // an earlier record than the latest one
+      const values = variables.reduce((result, variable) => {
+        const recorded = athleteRecords.map(record => getValue(record, variable)).filter(isNumber);
+        result[variable] = definition.summary === 'latest'
+          ? recorded[recorded.length - 1]
+          : round(mean(recorded));
+        return result;
+      }, {});
+
+      return {
+        userId: member.userId,
+        name: namesById.get(String(member.userId)),
+        position: member.position,
+        jerseyNumber: member.jerseyNumber,
+        records: athleteRecords.length,
+        lastRecordDate: latest && latest.date,
+        values
+      };
+    });
+
+    const squad = groupAnalytics(athletes, variables);
+
+    const byPosition = athletes.reduce((groups, athlete, index) => {
+      const position = athlete.position || 'unassigned';
+      groups[position] = [...(groups[position] || []), index];
+      return groups;
+    }, {});
+
+    const positions = {};
+    const positionZScores = [];
+    Object.entries(byPosition).forEach(([position, indexes]) => {
+      const analytics = groupAnalytics(indexes.map(index => athletes[index]), variables);
+      positions[position] = { n: indexes.length, statistics: analytics.statistics };
+      indexes.forEach((athleteIndex, index) => {
+        positionZScores[athleteIndex] = analytics.zScores[index];
+      });
+    });
+
+    const labels = unitLabels(source, req.units);
+
+    res.json({
+      teamId: team._id,
+      name: team.name,
+      season,
+      source,
+      summary: definition.summary,
+      period: { start: startDate, end: endDate },
+      units: variables.reduce((result, variable) => {
+        result[variable] = labels[variable] || labels[`${variable.split('.')[0]}.*`];
+        return result;
+      }, {}),
+      team: squad.statistics,
+      positions,
+      athletes: athletes.map((athlete, index) => ({
+        ...athlete,
+        zScores: squad.zScores[index],
+        positionZScores: positionZScores[index]
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating team analytics'
+      }
+    });
+  }
+});
+
+// Get single team
+router.get('/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const team = await Team.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    }).populate('members.userId', 'name gender sport position');
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    res.json(team);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching team'
+      }
+    });
+  }
+});
+
+// Update team
+router.put('/:id', [
+  auth,
+  requireProfessional,
+  body('name').optional().trim().notEmpty(),
+  ...teamValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const team = await Team.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['name', 'sport', 'seasons', 'members', 'isActive'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_UPDATE',
+          message: 'Invalid updates'
+        }
+      });
+    }
+
+    const unassigned = await findUnassignedMembers(req.body.members || [], req.user._id);
+    if (unassigned.length) {
+      return unassignedMembers(res, unassigned);
+    }
+
+    updates.forEach(update => {
+      team[update] = req.body[update];
+    });
+
+    await team.save();
+    res.json(team);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating team'
+      }
+    });
+  }
+});
+
+// Delete team
+router.delete('/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const team = await Team.findOneAndDelete({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    res.json(team);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting team'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const TrainingSession = require('../models/TrainingSession');
+const User = require('../models/User');
+const { DAY_MS, weekStart, aggregateDailyLoads, calculateWeeklyLoads } = require('../utils/workload');
+
+const SESSION_TYPES = TrainingSession.schema.path('type').enumValues;
+const SESSION_STATUSES = TrainingSession.schema.path('status').enumValues;
+
+const sessionValidators = [
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('type').optional().isIn(SESSION_TYPES).withMessage('Invalid session type'),
+  body('status').optional().isIn(SESSION_STATUSES).withMessage('Invalid session status'),
+  body('plannedSessionId').optional().isMongoId().withMessage('Valid planned session ID is required'),
+  body('rpe').optional().isFloat({ min: 0, max: 10 }).withMessage('RPE must be between 0 and 10'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+const validationError = (res, errors) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details: errors.array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }))
+  }
+});
+
+// Sessions a user can see: their own as an athlete, their athletes' as a professional
+const accessQuery = (user) => (user.role === 'professional'
+  ? { professionalId: user._id }
+  : { userId: user._id });
+
+// The planned session being completed must belong to the same athlete
+const findPlannedSession = (plannedSessionId, userId) => TrainingSession.findOne({
+  _id: plannedSessionId,
+  userId,
+  status: 'planned'
+});
+
+// Log a training session, athletes log their own
+router.post('/', [
+  auth,
+  body('userId')
+    .if((value, { req }) => req.user.role === 'professional')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('duration').isFloat({ min: 0 }).withMessage('Duration must be a positive number of minutes'),
+  ...sessionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationError(res, errors);
+    }
+
+    let athlete = req.user;
+    if (req.user.role === 'professional') {
+      // Verify user exists and is assigned to the professional
+      athlete = await User.findOne({
+        _id: req.body.userId,
+        role: 'athlete',
+        professionalId: req.user._id
+      });
+
+      if (!athlete) {
+        return res.status(404).json({
+          error: {
+            code: 'NOT_FOUND',
+            message: 'User not found or not assigned to you'
+          }
+        });
+      }
+    } else if (req.body.status === 'planned') {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only professionals can plan sessions'
+        }
+      });
+    }
+
+    if (req.body.plannedSessionId && !await findPlannedSession(req.body.plannedSessionId, athlete._id)) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Planned session not found'
+        }
+      });
+    }
+
+    if ((req.body.status || 'completed') === 'completed' && req.body.rpe === undefined) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: [{ field: 'rpe', message: 'RPE is required for completed sessions' }]
+        }
+      });
+    }
+
+    const session = new TrainingSession({
+      ...req.body,
+      userId: athlete._id,
+      professionalId: athlete.professionalId || req.user._id,
+      loggedBy: req.user._id
+    });
+
+    await session.save();
+    res.status(201).json(session);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error logging training session'
+      }
+    });
+  }
+});
+
+// Get training sessions
+router.get('/', auth, async (req, res) => {
+  try {
+    const { userId, type, status, startDate, endDate, page = 1, limit = 10 } = req.query;
+
+    const query = accessQuery(req.user);
+
+    if (req.user.role === 'professional' && userId) {
+      query.userId = userId;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [sessions, total] = await Promise.all([
+      TrainingSession.find(query)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      TrainingSession.countDocuments(query)
+    ]);
+
+    res.json({
+      data: sessions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching training sessions'
+      }
+    });
+  }
+});
+
+// Weekly load, monotony and strain of an athlete's completed sessions
+router.get('/weekly/:userId', auth, async (req, res) => {
+  try {
+    const weeks = Math.min(parseInt(req.query.weeks) || 8, 52);
+
+    if (req.user.role !== 'professional' && String(req.user._id) !== req.params.userId) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    const endDate = new Date();
+    const startDate = new Date(Date.parse(weekStart(endDate)) - (weeks - 1) * 7 * DAY_MS);
+
+    const sessions = await TrainingSession.find({
+      ...accessQuery(req.user),
+      userId: req.params.userId,
+      status: 'completed',
+      date: { $gte: startDate, $lte: endDate }
+    }).select('date load');
+
+    const dailyLoads = aggregateDailyLoads(
+      sessions.map(session => ({ date: session.date, load: session.load })),
+      { startDate, endDate }
+    );
+
+    res.json({
+      userId: req.params.userId,
+      data: calculateWeeklyLoads(dailyLoads)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error calculating weekly training load'
+      }
+    });
+  }
+});
+
+// Get single training session
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const session = await TrainingSession.findOne({
+      _id: req.params.id,
+      ...accessQuery(req.user)
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Training session not found'
+        }
+      });
+    }
+
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching training session'
+      }
+    });
+  }
+});
+
+// Update training session
+router.put('/:id', [
+  auth,
+  body('duration').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number of minutes'),
+  ...sessionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationError(res, errors);
+    }
+
+    const session = await TrainingSession.findOne({
+      _id: req.params.id,
+      ...accessQuery(req.user)
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Training session not found'
+        }
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['date', 'type', 'status', 'plannedSessionId', 'duration', 'rpe', 'notes'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation || (req.user.role !== 'professional' && req.body.status === 'planned')) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_UPDATE',
+          message: 'Invalid updates'
+        }
+      });
+    }
+
+    if (req.body.plannedSessionId && !await findPlannedSession(req.body.plannedSessionId, session.userId)) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Planned session not found'
+        }
+      });
+    }
+
+    updates.forEach(update => {
+      session[update] = req.body[update];
+    });
+
+    await session.save();
+    res.json(session);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating training session'
+      }
+    });
+  }
+});
+
+// Delete training session
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = await TrainingSession.findOneAndDelete({
+      _id: req.params.id,
+      ...accessQuery(req.user)
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Training session not found'
+        }
+      });
+    }
+
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting training session'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -2,15 +2,37 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { auth, requireProfessional } = require('../middleware/auth');
+const { resolveUnits, convertUnits } = require('../middleware/units');
 const User = require('../models/User');
 const AnthropometricMeasurement = require('../models/AnthropometricMeasurement');
 const HealthMetrics = require('../models/HealthMetrics');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
+const { UNIT_SYSTEMS, fromMetric, unitLabels } = require('../utils/units');
+const { YOUTH_MAX_AGE, assessMaturity } = require('../utils/maturity');
+const { RISK_ZONES } = require('../utils/workload');
+const { HEALTH_SOURCES, HEALTH_FIELD_GROUPS } = require('../utils/healthMerge');
+
+// Public profile, with the maturity estimate from the latest measurement that
+// includes sitting height for youth athletes
+const getProfileWithMaturity = async (user) => {
+  const profile = user.getPublicProfile();
+  if (user.role !== 'athlete' || !(user.getDecimalAge() < YOUTH_MAX_AGE)) {
+    return profile;
+  }
+
+  const measurement = await AnthropometricMeasurement.findOne({
+    userId: user._id,
+    sittingHeight: { $exists: true }
+  }).sort({ date: -1 });
+
+  profile.maturity = measurement ? assessMaturity(user, measurement) : null;
+  return profile;
+};
 
 // Get user profile
-router.get('/profile', auth, async (req, res) => {
+router.get('/profile', [auth, convertUnits('user')], async (req, res) => {
   try {
-    res.json(req.user.getPublicProfile());
+    res.json(await getProfileWithMaturity(req.user));
   } catch (error) {
     res.status(500).json({
       error: {
@@ -24,12 +46,29 @@ router.get('/profile', auth, async (req, res) => {
 // Update user profile
 router.put('/profile', [
   auth,
+  convertUnits('user'),
   body('name').optional().trim().notEmpty(),
   body('gender').optional().isIn(['male', 'female', 'other']),
   body('age').optional().isInt({ min: 0 }),
+  body('dateOfBirth').optional().isISO8601(),
+  body('parentalHeights.mother').optional().isFloat({ min: 0 }),
+  body('parentalHeights.father').optional().isFloat({ min: 0 }),
   body('country').optional().trim().notEmpty(),
   body('settings.language').optional().isString(),
   body('settings.theme').optional().isString(),
+  body('settings.units').optional().isIn(UNIT_SYSTEMS),
+  body('settings.healthSourcePriority').optional().isObject(),
+  body('settings.healthSourcePriority.*')
+    .custom((value, { path }) => {
+      const group = path.split('.').pop();
+      if (!HEALTH_FIELD_GROUPS[group]) {
+        throw new Error(`Unknown health field group: ${group}`);
+      }
+      if (!Array.isArray(value) || !value.every(source => HEALTH_SOURCES.includes(source))) {
+        throw new Error(`Sources must be an array of: ${HEALTH_SOURCES.join(', ')}`);
+      }
+      return true;
+    }),
   body('settings.notifications').optional().isBoolean()
 ], async (req, res) => {
   try {
@@ -39,7 +78,7 @@ router.put('/profile', [
     }
 
     const updates = Object.keys(req.body);
-    const allowedUpdates = ['name', 'gender', 'age', 'country', 'settings'];
+    const allowedUpdates = ['name', 'gender', 'age', 'dateOfBirth', 'parentalHeights', 'country', 'settings'];
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
     if (!isValidOperation) {
@@ -74,9 +113,9 @@ router.put('/profile', [
 });
 
 // Get list of patients (for professionals)
-router.get('/patients', auth, requireProfessional, async (req, res) => {
+router.get('/patients', [auth, requireProfessional, resolveUnits], async (req, res) => {
   try {
-    const { name, gender, age, sport, position, page = 1, limit = 10 } = req.query;
+    const { name, gender, age, sport, position, riskZone, page = 1, limit = 10 } = req.query;
     const query = { professionalId: req.user._id, role: 'athlete' };
     
     if (name) {
@@ -85,8 +124,18 @@ router.get('/patients', auth, requireProfessional, async (req, res) => {
     if (gender) {
       query.gender = gender;
     }
+    // Athletes with a date of birth match on the birth dates that give this
+    // age today, the rest on their stored age
     if (age) {
-      query.age = age;
+      const latestBirth = new Date();
+      latestBirth.setFullYear(latestBirth.getFullYear() - parseInt(age));
+      const earliestBirth = new Date(latestBirth);
+      earliestBirth.setFullYear(earliestBirth.getFullYear() - 1);
+
+      query.$or = [
+        { dateOfBirth: { $gt: earliestBirth, $lte: latestBirth } },
+        { dateOfBirth: null, age: parseInt(age) }
+      ];
     }
     if (sport) {
       query.sport = sport;
@@ -95,6 +144,22 @@ router.get('/patients', auth, requireProfessional, async (req, res) => {
       query.position = position;
     }
 
+    // Keep only athletes whose current acute:chronic workload falls in the zone
+    if (riskZone) {
+      if (!RISK_ZONES.includes(riskZone)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_RISK_ZONE',
+            message: `Risk zone must be one of: ${RISK_ZONES.join(', ')}`
+          }
+        });
+      }
+
+      const athletes = await User.find(query).select('_id');
+      const zones = await PerformanceMetrics.getCurrentRiskZones(athletes.map(athlete => athlete._id));
+      query._id = { $in: athletes.filter(athlete => zones.get(String(athlete._id)) === riskZone).map(athlete => athlete._id) };
+    }
+
     const patients = await User.find(query)
       .select('-password -refreshToken')
       .skip((page - 1) * limit)
@@ -103,7 +168,8 @@ router.get('/patients', auth, requireProfessional, async (req, res) => {
     const total = await User.countDocuments(query);
 
     res.json({
-      patients,
+      patients: patients.map(patient => fromMetric(patient, 'user', req.units)),
+      units: unitLabels('user', req.units),
       pagination: {
         total,
         page: parseInt(page),
@@ -118,7 +184,7 @@ router.get('/patients', auth, requireProfessional, async (req, res) => {
 });
 
 // Get patient details (professionals only)
-router.get('/patients/:id', [auth, requireProfessional], async (req, res) => {
+router.get('/patients/:id', [auth, requireProfessional, convertUnits('user')], async (req, res) => {
   try {
     const patient = await User.findOne({
       _id: req.params.id,
@@ -135,7 +201,7 @@ router.get('/patients/:id', [auth, requireProfessional], async (req, res) => {
       });
     }
 
-    res.json(patient);
+    res.json(await getProfileWithMaturity(patient));
   } catch (error) {
     res.status(500).json({
       error: {
@@ -150,11 +216,15 @@ router.get('/patients/:id', [auth, requireProfessional], async (req, res) => {
 router.post('/patients', [
   auth,
   requireProfessional,
+  convertUnits('user'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('gender').isIn(['male', 'female', 'other']).withMessage('Valid gender is required'),
-  body('age').isInt({ min: 0 }).withMessage('Age must be a positive number'),
+  body('dateOfBirth').optional().isISO8601().withMessage('Date of birth must be a valid date'),
+  body('age').if(body('dateOfBirth').not().exists()).isInt({ min: 0 }).withMessage('Age or date of birth is required'),
+  body('parentalHeights.mother').optional().isFloat({ min: 0 }),
+  body('parentalHeights.father').optional().isFloat({ min: 0 }),
   body('country').trim().notEmpty().withMessage('Country is required'),
   body('sport').optional().trim(),
   body('position').optional().trim()
@@ -174,7 +244,7 @@ router.post('/patients', [
       });
     }
 
-    const { name, email, password, gender, age, country, sport, position } = req.body;
+    const { name, email, password, gender, age, dateOfBirth, parentalHeights, country, sport, position } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -195,6 +265,8 @@ router.post('/patients', [
       role: 'athlete',
       gender,
       age,
+      dateOfBirth,
+      parentalHeights,
       country,
       sport,
       position,
@@ -219,10 +291,14 @@ router.post('/patients', [
 router.put('/patients/:id', [
   auth,
   requireProfessional,
+  convertUnits('user'),
   body('name').optional().trim().notEmpty(),
   body('email').optional().isEmail(),
   body('gender').optional().isIn(['male', 'female', 'other']),
   body('age').optional().isInt({ min: 0 }),
+  body('dateOfBirth').optional().isISO8601(),
+  body('parentalHeights.mother').optional().isFloat({ min: 0 }),
+  body('parentalHeights.father').optional().isFloat({ min: 0 }),
   body('country').optional().trim().notEmpty(),
   body('sport').optional().trim(),
   body('position').optional().trim()
@@ -249,7 +325,7 @@ router.put('/patients/:id', [
     }
 
     const updates = Object.keys(req.body);
-    const allowedUpdates = ['name', 'email', 'gender', 'age', 'country', 'sport', 'position'];
+    const allowedUpdates = ['name', 'email', 'gender', 'age', 'dateOfBirth', 'parentalHeights', 'country', 'sport', 'position'];
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
     if (!isValidOperation) {
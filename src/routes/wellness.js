@@ -0,0 +1,446 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth, requireProfessional, requireAthlete } = require('../middleware/auth');
+const WellnessQuestion = require('../models/WellnessQuestion');
+const WellnessEntry = require('../models/WellnessEntry');
+const User = require('../models/User');
+const { DAY_MS, dayKey } = require('../utils/workload');
+
+const HOOPER_ITEMS = ['fatigue', 'stress', 'doms', 'sleepQuality'];
+
+const validationError = (res, details) => res.status(400).json({
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details
+  }
+});
+
+const questionValidators = [
+  body('type').optional().isIn(['scale', 'text']).withMessage('Type must be scale or text'),
+  body('scale.min').optional().isFloat().withMessage('Scale minimum must be a number'),
+  body('scale.max').optional().isFloat().withMessage('Scale maximum must be a number'),
+  body('scale.minLabel').optional().isString(),
+  body('scale.maxLabel').optional().isString(),
+  body('required').optional().isBoolean(),
+  body('order').optional().isInt(),
+  body('isActive').optional().isBoolean()
+];
+
+// The scale is checked on the question itself, so bounds a request leaves
+// out are compared with the defaults or the stored values
+const scaleError = (res) => validationError(res, [{
+  field: 'scale.max',
+  message: 'Scale maximum must be greater than the minimum'
+}]);
+
+// Check custom answers against the professional's active questions
+const checkAnswers = (answers, questions) => {
+  const questionsById = new Map(questions.map(question => [String(question._id), question]));
+  const details = [];
+
+  answers.forEach((answer, index) => {
+    const question = questionsById.get(String(answer.questionId));
+    const problem = question ? question.validateAnswer(answer.value) : 'Question not found';
+    if (problem) {
+      details.push({ field: `answers[${index}]`, message: problem });
+    }
+  });
+
+  questions
+    .filter(question => question.required && !answers.some(answer => String(answer.questionId) === String(question._id)))
+    .forEach(question => details.push({ field: 'answers', message: `An answer to "${question.text}" is required` }));
+
+  return details;
+};
+
+// Get the questionnaire's custom questions
+router.get('/questions', auth, async (req, res) => {
+  try {
+    const query = req.user.role === 'professional'
+      ? { professionalId: req.user._id }
+      : { professionalId: req.user.professionalId, isActive: true };
+
+    if (req.user.role === 'professional' && req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    // Athletes without a professional only answer the standard questionnaire
+    const questions = query.professionalId
+      ? await WellnessQuestion.find(query).sort({ order: 1, createdAt: 1 })
+      : [];
+    res.json({ data: questions });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching wellness questions'
+      }
+    });
+  }
+});
+
+// Create a custom question
+router.post('/questions', [
+  auth,
+  requireProfessional,
+  body('text').trim().notEmpty().withMessage('Text is required'),
+  ...questionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const question = new WellnessQuestion({
+      ...req.body,
+      professionalId: req.user._id
+    });
+
+    if (question.scale.max <= question.scale.min) {
+      return scaleError(res);
+    }
+
+    await question.save();
+    res.status(201).json(question);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error creating wellness question'
+      }
+    });
+  }
+});
+
+// Update a custom question
+router.put('/questions/:id', [
+  auth,
+  requireProfessional,
+  body('text').optional().trim().notEmpty(),
+  ...questionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const question = await WellnessQuestion.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Wellness question not found'
+        }
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['text', 'type', 'scale', 'required', 'order', 'isActive'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_UPDATE',
+          message: 'Invalid updates'
+        }
+      });
+    }
+
+    // Scale bounds and labels are updated one by one, keeping the rest
+    updates.forEach(update => {
+      if (update === 'scale') {
+        Object.entries(req.body.scale || {}).forEach(([key, value]) => question.set(`scale.${key}`, value));
+      } else {
+        question[update] = req.body[update];
+      }
+    });
+
+    if (question.scale.max <= question.scale.min) {
+      return scaleError(res);
+    }
+
+    await question.save();
+    res.json(question);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error updating wellness question'
+      }
+    });
+  }
+});
+
+// Delete a custom question, answered questions are deactivated instead
+router.delete('/questions/:id', [auth, requireProfessional], async (req, res) => {
+  try {
+    const question = await WellnessQuestion.findOne({
+      _id: req.params.id,
+      professionalId: req.user._id
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Wellness question not found'
+        }
+      });
+    }
+
+    if (await WellnessEntry.exists({ 'answers.questionId': question._id })) {
+      question.isActive = false;
+      await question.save();
+    } else {
+      await question.deleteOne();
+    }
+
+    res.json(question);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting wellness question'
+      }
+    });
+  }
+});
+
+// Submit the day's questionnaire, submitting again the same day replaces it
+router.post('/entries', [
+  auth,
+  requireAthlete,
+  body('date').optional().isISO8601(),
+  ...HOOPER_ITEMS.map(item => body(`hooper.${item}`).isInt({ min: 1, max: 7 }).withMessage(`${item} must be between 1 and 7`)),
+  body('mood').optional().isInt({ min: 1, max: 5 }).withMessage('Mood must be between 1 and 5'),
+  body('comment').optional().isString().isLength({ max: 1000 }),
+  body('answers').optional().isArray(),
+  body('answers.*.questionId').isMongoId().withMessage('Valid question ID is required'),
+  body('answers.*.value').exists().withMessage('Answer value is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationError(res, errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      })));
+    }
+
+    const questions = req.user.professionalId
+      ? await WellnessQuestion.find({ professionalId: req.user.professionalId, isActive: true })
+      : [];
+    const answers = req.body.answers || [];
+    const answerErrors = checkAnswers(answers, questions);
+    if (answerErrors.length) {
+      return validationError(res, answerErrors);
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    let entry = await WellnessEntry.findOne({ userId: req.user._id, day: dayKey(date) });
+    const isNew = !entry;
+
+    if (isNew) {
+      entry = new WellnessEntry({
+        userId: req.user._id,
+        professionalId: req.user.professionalId
+      });
+    }
+
+    entry.set({
+      date,
+      hooper: req.body.hooper,
+      mood: req.body.mood,
+      comment: req.body.comment,
+      answers
+    });
+
+    await entry.save();
+    res.status(isNew ? 201 : 200).json(entry);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error submitting wellness entry'
+      }
+    });
+  }
+});
+
+// Get wellness entries
+router.get('/entries', auth, async (req, res) => {
+  try {
+    const { userId, startDate, endDate, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+      if (userId) {
+        query.userId = userId;
+      }
+    } else {
+      query.userId = req.user._id;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      WellnessEntry.find(query)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WellnessEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      data: entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching wellness entries'
+      }
+    });
+  }
+});
+
+// Questionnaire completion: the roster for a day for professionals, the last
+// days for athletes
+router.get('/completion', auth, async (req, res) => {
+  try {
+    if (req.user.role === 'professional') {
+      const day = dayKey(req.query.date || new Date());
+      const [athletes, entries] = await Promise.all([
+        User.find({ professionalId: req.user._id, role: 'athlete', isActive: true }).select('name sport position'),
+        WellnessEntry.find({ professionalId: req.user._id, day })
+      ]);
+      const entriesByUser = new Map(entries.map(entry => [String(entry.userId), entry]));
+
+      const data = athletes.map(athlete => {
+        const entry = entriesByUser.get(String(athlete._id));
+        return {
+          userId: athlete._id,
+          name: athlete.name,
+          sport: athlete.sport,
+          position: athlete.position,
+          completed: Boolean(entry),
+          submittedAt: entry && entry.updatedAt,
+          hooperIndex: entry && entry.hooperIndex,
+          mood: entry && entry.mood
+        };
+      });
+      const completed = data.filter(athlete => athlete.completed).length;
+
+      return res.json({
+        day,
+        completed,
+        total: data.length,
+        completionRate: data.length ? Math.round(completed / data.length * 100) : undefined,
+        data
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const today = Date.parse(dayKey(new Date()));
+    const dayKeys = Array.from({ length: days }, (value, index) => dayKey(today - index * DAY_MS));
+    const entries = await WellnessEntry.find({ userId: req.user._id, day: { $in: dayKeys } }).select('day');
+    const completedDays = new Set(entries.map(entry => entry.day));
+
+    res.json({
+      data: dayKeys.map(day => ({ day, completed: completedDays.has(day) }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching wellness completion'
+      }
+    });
+  }
+});
+
+// Get single wellness entry
+router.get('/entries/:id', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+
+    if (req.user.role === 'professional') {
+      query.professionalId = req.user._id;
+    } else {
+      query.userId = req.user._id;
+    }
+
+    const entry = await WellnessEntry.findOne(query).populate('answers.questionId', 'text type scale');
+
+    if (!entry) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Wellness entry not found'
+        }
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error fetching wellness entry'
+      }
+    });
+  }
+});
+
+// Delete wellness entry
+router.delete('/entries/:id', [auth, requireAthlete], async (req, res) => {
+  try {
+    const entry = await WellnessEntry.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Wellness entry not found'
+        }
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error deleting wellness entry'
+      }
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
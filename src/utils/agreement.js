@@ -0,0 +1,60 @@
+const { isNumber, round, mean, standardDeviation } = require('./math');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pair reference results with estimates taken within maxDays that both carry
+// the variable. Pairs are one-to-one, closest dates first, so one session
+// never counts twice against correlated reference scans.
+const pairByDate = (references, estimates, maxDays, variable) => {
+  const hasVariable = (document) => isNumber(document[variable]);
+  const candidates = [];
+
+  references.filter(hasVariable).forEach(reference => {
+    estimates.filter(hasVariable).forEach(estimate => {
+      const distance = Math.abs(estimate.date - reference.date);
+      if (distance <= maxDays * DAY_MS) {
+        candidates.push({ reference, estimate, distance });
+      }
+    });
+  });
+
+  const pairedReferences = new Set();
+  const pairedEstimates = new Set();
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance)
+    .filter(({ reference, estimate }) => {
+      if (pairedReferences.has(reference) || pairedEstimates.has(estimate)) return false;
+      pairedReferences.add(reference);
+      pairedEstimates.add(estimate);
+      return true;
+    })
+    .sort((a, b) => a.reference.date - b.reference.date)
+    .map(({ reference, estimate, distance }) => ({ reference, estimate, daysApart: round(distance / DAY_MS, 1) }));
+};
+
+// Bland-Altman agreement: mean bias of estimate minus reference and the 95%
+// limits of agreement around it
+const blandAltman = (pairs) => {
+  const differences = pairs.map(pair => pair.estimate - pair.reference);
+
+  if (differences.length < 2) {
+    return { n: differences.length, bias: round(mean(differences)), sd: undefined, lowerLimit: undefined, upperLimit: undefined };
+  }
+
+  const bias = mean(differences);
+  const sd = standardDeviation(differences);
+
+  return {
+    n: differences.length,
+    bias: round(bias),
+    sd: round(sd),
+    lowerLimit: round(bias - 1.96 * sd),
+    upperLimit: round(bias + 1.96 * sd)
+  };
+};
+
+module.exports = {
+  pairByDate,
+  blandAltman
+}; 
\ No newline at end of file
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { SaxesParser } = require('saxes');
+const unzipper = require('unzipper');
+const { round, mean } = require('./math');
+
+// Health record field of each imported Apple Health sample type
+const APPLE_HEALTH_TYPES = {
+  HKQuantityTypeIdentifierRestingHeartRate: 'restingHeartRate',
+  // Apple only records SDNN; readiness compares an athlete against their own
+  // baseline, so it is stored as the heart rate variability
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN: 'heartRateVariability',
+  HKQuantityTypeIdentifierStepCount: 'steps',
+  HKCategoryTypeIdentifierSleepAnalysis: 'sleep',
+  HKQuantityTypeIdentifierBodyMass: 'bodyMass'
+};
+
+// Sleep analysis values counted as time asleep, by stage. In bed and awake
+// samples are not sleep.
+const SLEEP_STAGES = {
+  HKCategoryValueSleepAnalysisAsleep: 'unspecified',
+  HKCategoryValueSleepAnalysisAsleepUnspecified: 'unspecified',
+  HKCategoryValueSleepAnalysisAsleepCore: 'core',
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem'
+};
+
+const MASS_TO_KG = { kg: 1, g: 0.001, lb: 0.45359237 };
+
+const EXPORT_XML = /(^|\/)export\.xml$/;
+
+// Export timestamps look like '2023-01-05 07:12:00 +0100'
+const parseTimestamp = (timestamp) => Date.parse(String(timestamp).replace(/^(\S+) (\S+) (\S+)$/, '$1T$2$3'));
+
+// Calendar day where the sample was recorded, in the athlete's own time zone
+const localDay = (timestamp) => String(timestamp).slice(0, 10);
+
+const getDay = (days, day) => {
+  if (!days.has(day)) {
+    days.set(day, {
+      restingHeartRate: [],
+      heartRateVariability: [],
+      steps: new Map(),
+      sleep: new Map()
+    });
+  }
+  return days.get(day);
+};
+
+// Add one <Record> to the daily totals, returns the field it counted towards
+const addSample = (days, attributes, { startDay } = {}) => {
+  const field = APPLE_HEALTH_TYPES[attributes.type];
+  if (!field) return undefined;
+
+  // Sleep belongs to the day the athlete woke up
+  const day = localDay(field === 'sleep' ? attributes.endDate : attributes.startDate);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || (startDay && day < startDay)) return undefined;
+
+  const source = attributes.sourceName || 'unknown';
+
+  if (field === 'sleep') {
+    const stage = SLEEP_STAGES[attributes.value];
+    const minutes = (parseTimestamp(attributes.endDate) - parseTimestamp(attributes.startDate)) / 60000;
+    if (!stage || !(minutes > 0)) return undefined;
+
+    const totals = getDay(days, day);
+    const stages = totals.sleep.get(source) || { unspecified: 0, core: 0, deep: 0, rem: 0 };
+    stages[stage] += minutes;
+    totals.sleep.set(source, stages);
+    return field;
+  }
+
+  const value = parseFloat(attributes.value);
+  const factor = field === 'bodyMass' ? MASS_TO_KG[attributes.unit] : 1;
+  if (Number.isNaN(value) || !factor) return undefined;
+
+  const totals = getDay(days, day);
+
+  if (field === 'steps') {
+    totals.steps.set(source, (totals.steps.get(source) || 0) + value);
+  } else if (field === 'bodyMass') {
+    const time = parseTimestamp(attributes.startDate);
+    if (!totals.bodyMass || time >= totals.bodyMass.time) {
+      totals.bodyMass = { time, value: value * factor };
+    }
+  } else {
+    totals[field].push(value);
+  }
+
+  return field;
+};
+
+// Health record of one day. The iPhone and a paired watch both count steps
+// and sleep, so the device with the most data wins instead of adding them up.
+const summarizeDay = (day, totals) => {
+  const record = {
+    // Midday UTC keeps the stored day equal to the athlete's local day
+    date: new Date(`${day}T12:00:00.000Z`),
+    source: 'apple_health',
+    restingHeartRate: round(mean(totals.restingHeartRate), 0),
+    heartRateVariability: round(mean(totals.heartRateVariability), 1),
+    bodyMass: totals.bodyMass && round(totals.bodyMass.value)
+  };
+
+  if (totals.steps.size) {
+    record.steps = Math.round(Math.max(...totals.steps.values()));
+  }
+
+  const nights = [...totals.sleep.values()].map(stages => ({
+    ...stages,
+    staged: stages.core + stages.deep + stages.rem,
+    total: stages.unspecified + stages.core + stages.deep + stages.rem
+  }));
+
+  if (nights.length) {
+    const night = nights.sort((a, b) => (b.staged - a.staged) || (b.total - a.total))[0];
+    record.sleep = {
+      duration: round(night.total, 0),
+      lightSleep: night.staged ? round(night.core, 0) : undefined,
+      deepSleep: night.staged ? round(night.deep, 0) : undefined,
+      remSleep: night.staged ? round(night.rem, 0) : undefined
+    };
+  }
+
+  return record;
+};
+
+// Stream-parse an export.xml into daily health records, samples before
+// `startDate` are ignored
+const parseAppleHealthXml = (stream, { startDate } = {}) => new Promise((resolve, reject) => {
+  const parser = new SaxesParser();
+  const decoder = new StringDecoder('utf8');
+  const startDay = startDate ? new Date(startDate).toISOString().slice(0, 10) : undefined;
+  const days = new Map();
+  const samples = {};
+  let ignored = 0;
+  let failed = false;
+
+  const fail = (error) => {
+    if (failed) return;
+    failed = true;
+    stream.destroy();
+    reject(error);
+  };
+
+  parser.on('opentag', node => {
+    if (node.name !== 'Record') return;
+    const field = addSample(days, node.attributes, { startDay });
+    if (field) {
+      samples[field] = (samples[field] || 0) + 1;
+    } else {
+      ignored += 1;
+    }
+  });
+  parser.on('error', error => fail(new Error(`Invalid export.xml: ${error.message}`)));
+
+  stream.on('data', chunk => {
+    if (!failed) parser.write(decoder.write(chunk));
+  });
+  stream.on('error', fail);
+  stream.on('end', () => {
+    if (failed) return;
+    parser.write(decoder.end());
+    parser.close();
+    if (failed) return;
+
+    const records = [...days.keys()].sort().map(day => summarizeDay(day, days.get(day)));
+    resolve({ records, samples, ignored });
+  });
+});
+
+// Parse an uploaded export.zip, or a bare export.xml
+const parseAppleHealthFile = async (file, options) => {
+  if (path.extname(file.originalname).toLowerCase() === '.xml') {
+    return parseAppleHealthXml(fs.createReadStream(file.path), options);
+  }
+
+  let result;
+  const archive = fs.createReadStream(file.path).pipe(unzipper.Parse({ forceStream: true }));
+  for await (const entry of archive) {
+    if (!result && EXPORT_XML.test(entry.path)) {
+      result = await parseAppleHealthXml(entry, options);
+    } else {
+      entry.autodrain();
+    }
+  }
+
+  if (!result) {
+    throw new Error('The archive does not contain an export.xml');
+  }
+  return result;
+};
+
+module.exports = {
+  APPLE_HEALTH_TYPES,
+  SLEEP_STAGES,
+  addSample,
+  summarizeDay,
+  parseAppleHealthXml,
+  parseAppleHealthFile
+}; 
\ No newline at end of file
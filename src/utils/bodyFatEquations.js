@@ -0,0 +1,163 @@
+const { round, sum } = require('./math');
+
+// Body density to body fat percentage conversions
+const DENSITY_CONVERSIONS = {
+  siri: (density) => 495 / density - 450,
+  brozek: (density) => 457 / density - 414.2
+};
+
+// Durnin-Womersley (1974) log-sum coefficients by sex and age group
+const DURNIN_WOMERSLEY_COEFFICIENTS = {
+  male: [
+    { maxAge: 19, c: 1.1620, m: 0.0630 },
+    { maxAge: 29, c: 1.1631, m: 0.0632 },
+    { maxAge: 39, c: 1.1422, m: 0.0544 },
+    { maxAge: 49, c: 1.1620, m: 0.0700 },
+    { maxAge: Infinity, c: 1.1715, m: 0.0779 }
+  ],
+  female: [
+    { maxAge: 19, c: 1.1549, m: 0.0678 },
+    { maxAge: 29, c: 1.1599, m: 0.0717 },
+    { maxAge: 39, c: 1.1423, m: 0.0632 },
+    { maxAge: 49, c: 1.1333, m: 0.0612 },
+    { maxAge: Infinity, c: 1.1339, m: 0.0645 }
+  ]
+};
+
+// Skinfold prediction equations. Equations of type 'density' predict body
+// density and are converted with Siri or Brozek, 'percentage' equations
+// predict body fat directly.
+const EQUATIONS = {
+  jackson_pollock_3: {
+    name: 'Jackson-Pollock 3 site',
+    type: 'density',
+    requiresAge: true,
+    sites: {
+      male: ['chest', 'abdominal', 'thigh'],
+      female: ['triceps', 'iliac', 'thigh']
+    },
+    calculate: (total, { gender, age }) => (gender === 'male'
+      ? 1.10938 - 0.0008267 * total + 0.0000016 * total ** 2 - 0.0002574 * age
+      : 1.0994921 - 0.0009929 * total + 0.0000023 * total ** 2 - 0.0001392 * age)
+  },
+  jackson_pollock_7: {
+    name: 'Jackson-Pollock 7 site',
+    type: 'density',
+    requiresAge: true,
+    sites: {
+      male: ['chest', 'midaxillary', 'triceps', 'subscapular', 'abdominal', 'iliac', 'thigh'],
+      female: ['chest', 'midaxillary', 'triceps', 'subscapular', 'abdominal', 'iliac', 'thigh']
+    },
+    calculate: (total, { gender, age }) => (gender === 'male'
+      ? 1.112 - 0.00043499 * total + 0.00000055 * total ** 2 - 0.00028826 * age
+      : 1.097 - 0.00046971 * total + 0.00000056 * total ** 2 - 0.00012828 * age)
+  },
+  durnin_womersley: {
+    name: 'Durnin-Womersley',
+    type: 'density',
+    requiresAge: true,
+    sites: {
+      male: ['biceps', 'triceps', 'subscapular', 'iliac'],
+      female: ['biceps', 'triceps', 'subscapular', 'iliac']
+    },
+    calculate: (total, { gender, age }) => {
+      const { c, m } = DURNIN_WOMERSLEY_COEFFICIENTS[gender].find(group => age <= group.maxAge);
+      return c - m * Math.log10(total);
+    }
+  },
+  yuhasz: {
+    name: 'Yuhasz',
+    type: 'percentage',
+    sites: {
+      male: ['triceps', 'subscapular', 'supraspinal', 'abdominal', 'thigh', 'calf'],
+      female: ['triceps', 'subscapular', 'supraspinal', 'abdominal', 'thigh', 'calf']
+    },
+    calculate: (total, { gender }) => (gender === 'male'
+      ? 0.1051 * total + 2.585
+      : 0.1548 * total + 3.580)
+  },
+  faulkner: {
+    name: 'Faulkner',
+    type: 'percentage',
+    sexSpecific: false,
+    sites: {
+      male: ['triceps', 'subscapular', 'iliac', 'abdominal'],
+      female: ['triceps', 'subscapular', 'iliac', 'abdominal']
+    },
+    calculate: (total) => 0.153 * total + 5.783
+  },
+  withers: {
+    name: 'Withers',
+    type: 'density',
+    sites: {
+      male: ['triceps', 'subscapular', 'biceps', 'supraspinal', 'abdominal', 'thigh', 'calf'],
+      female: ['triceps', 'subscapular', 'supraspinal', 'calf']
+    },
+    calculate: (total, { gender }) => (gender === 'male'
+      ? 1.0988 - 0.0004 * total
+      : 1.17484 - 0.07229 * Math.log10(total))
+  },
+  slaughter: {
+    name: 'Slaughter (youth)',
+    type: 'percentage',
+    sites: {
+      male: ['triceps', 'calf'],
+      female: ['triceps', 'calf']
+    },
+    calculate: (total, { gender }) => (gender === 'male'
+      ? 0.735 * total + 1.0
+      : 0.610 * total + 5.1)
+  }
+};
+
+// Estimate body fat percentage from a set of skinfolds (mm) with the chosen
+// equation. Missing sites or athlete data are reported instead of throwing.
+const estimateBodyFat = (skinfolds = {}, { equation, conversion = 'siri', gender, age }) => {
+  const definition = EQUATIONS[equation];
+  if (!definition) {
+    throw new Error(`Unknown body fat equation: ${equation}`);
+  }
+
+  const estimate = {
+    equation,
+    conversion: definition.type === 'density' ? conversion : undefined,
+    bodyDensity: undefined,
+    value: undefined,
+    missingSites: [],
+    missingInputs: []
+  };
+
+  if (definition.sexSpecific !== false && !['male', 'female'].includes(gender)) {
+    estimate.missingInputs.push('gender');
+  }
+  if (definition.requiresAge && (age === undefined || age === null)) {
+    estimate.missingInputs.push('age');
+  }
+
+  const sites = definition.sites[gender] || definition.sites.male;
+  estimate.missingSites = sites.filter(site => skinfolds[site] === undefined || skinfolds[site] === null);
+
+  if (estimate.missingSites.length || estimate.missingInputs.length) {
+    return estimate;
+  }
+
+  const total = sum(sites.map(site => skinfolds[site]));
+  const result = definition.calculate(total, { gender, age });
+  let percentage = result;
+
+  if (definition.type === 'density') {
+    estimate.bodyDensity = round(result, 5);
+    percentage = DENSITY_CONVERSIONS[conversion](result);
+  }
+
+  // Very lean athletes can fall just below zero with some equations
+  estimate.value = round(Math.min(Math.max(percentage, 0), 100));
+
+  return estimate;
+};
+
+module.exports = {
+  EQUATIONS,
+  DENSITY_CONVERSIONS,
+  estimateBodyFat
+}; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { round, sum, mean, isNumber } = require('./math');
+const { TEM_TARGETS } = require('./isak');
+const { SUM_OF_6_SITES, SUM_OF_8_SITES } = require('./derivedIndices');
+
+const COMPARED_GROUPS = ['skinfolds', 'perimeters', 'breadths'];
+
+// Minimal detectable change at 95% confidence for a given absolute TEM
+const minimalDetectableChange = (tem) => 1.96 * Math.SQRT2 * tem;
+
+const classifyChange = (change, mdc) => {
+  if (change > mdc) return 'meaningful_increase';
+  if (change < -mdc) return 'meaningful_decrease';
+  return 'trivial';
+};
+
+// Absolute TEM of a site around a value, from the professional's %TEM when
+// known or the ISAK level 1 target otherwise
+const siteTem = (group, site, value, temBySite) => {
+  const known = temBySite[`${group}.${site}`];
+  const relativeTem = known ? known.relativeTem : TEM_TARGETS.level1[group];
+  return {
+    tem: relativeTem / 100 * value,
+    temSource: known ? 'professional' : 'isak_target'
+  };
+};
+
+const compareVariable = (variable, previous, current, tem, temSource) => {
+  const change = current - previous;
+  const mdc = minimalDetectableChange(tem);
+  return {
+    variable,
+    previous,
+    current,
+    change: round(change),
+    mdc: round(mdc),
+    temSource,
+    classification: classifyChange(change, mdc)
+  };
+};
+
+// Compare every site measured in both sessions, plus the sums of skinfolds
+// whose TEM is propagated from the individual sites
+const compareMeasurements = (from, to, temSites = []) => {
+  const temBySite = temSites.reduce((sites, entry) => {
+    sites[`${entry.group}.${entry.site}`] = entry;
+    return sites;
+  }, {});
+
+  const variables = [];
+
+  COMPARED_GROUPS.forEach(group => {
+    const previousGroup = from[group] || {};
+    const currentGroup = to[group] || {};
+
+    Object.keys(currentGroup).forEach(site => {
+      const previous = previousGroup[site];
+      const current = currentGroup[site];
+      if (!isNumber(previous) || !isNumber(current)) return;
+
+      const { tem, temSource } = siteTem(group, site, mean([previous, current]), temBySite);
+      variables.push(compareVariable(`${group}.${site}`, previous, current, tem, temSource));
+    });
+  });
+
+  [['sumOf6Skinfolds', SUM_OF_6_SITES], ['sumOf8Skinfolds', SUM_OF_8_SITES]].forEach(([variable, sites]) => {
+    const previousValues = sites.map(site => (from.skinfolds || {})[site]);
+    const currentValues = sites.map(site => (to.skinfolds || {})[site]);
+    if (![...previousValues, ...currentValues].every(isNumber)) return;
+
+    const siteTems = sites.map((site, index) => siteTem('skinfolds', site,
+      mean([previousValues[index], currentValues[index]]), temBySite));
+    const tem = Math.sqrt(sum(siteTems.map(entry => entry.tem ** 2)));
+    const temSource = siteTems.every(entry => entry.temSource === 'professional') ? 'professional' : 'isak_target';
+
+    variables.push(compareVariable(variable, sum(previousValues), sum(currentValues), tem, temSource));
+  });
+
+  return {
+    previousMeasurementId: from._id,
+    previousDate: from.date,
+    variables
+  };
+};
+
+module.exports = {
+  minimalDetectableChange,
+  compareMeasurements
+}; 
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { round, sum, isNumber } = require('./math');
+const { correctGirth } = require('./fractionation');
+
+const SUM_OF_6_SITES = ['triceps', 'subscapular', 'supraspinal', 'abdominal', 'thigh', 'calf'];
+const SUM_OF_8_SITES = [...SUM_OF_6_SITES, 'biceps', 'iliac'];
+
+// WHO body mass index categories
+const bmiCategory = (bmi) => {
+  if (bmi < 18.5) return 'underweight';
+  if (bmi < 25) return 'normal';
+  if (bmi < 30) return 'overweight';
+  return 'obese';
+};
+
+// WHO waist-to-hip ratio cut-offs for substantially increased risk
+const waistToHipRisk = (ratio, gender) => {
+  if (gender === 'male') return ratio >= 0.90 ? 'high' : 'low';
+  if (gender === 'female') return ratio >= 0.85 ? 'high' : 'low';
+  return undefined;
+};
+
+// Ashwell boundary values for waist-to-height ratio
+const waistToHeightRisk = (ratio) => {
+  if (ratio < 0.5) return 'low';
+  if (ratio < 0.6) return 'increased';
+  return 'high';
+};
+
+// WHO waist circumference action levels (cm)
+const waistRisk = (waist, gender) => {
+  if (!['male', 'female'].includes(gender)) return undefined;
+  const [increased, high] = gender === 'male' ? [94, 102] : [80, 88];
+  if (waist < increased) return 'low';
+  if (waist < high) return 'increased';
+  return 'high';
+};
+
+const sumOfSites = (skinfolds = {}, sites) => {
+  const values = sites.map(site => skinfolds[site]);
+  return values.every(isNumber) ? sum(values) : undefined;
+};
+
+const correctedGirth = (girth, skinfold) => (
+  isNumber(girth) && isNumber(skinfold) ? correctGirth(girth, skinfold) : undefined
+);
+
+// Derived anthropometric indices from the stored measurement values. Indices
+// whose inputs were not measured are left undefined.
+const calculateDerivedIndices = (measurement, { gender } = {}) => {
+  const { weight, height, leanMass, bodyFatPercentage, skinfolds = {}, perimeters = {} } = measurement;
+  const heightInMeters = isNumber(height) && height > 0 ? height / 100 : undefined;
+  const derived = {};
+
+  if (isNumber(weight) && heightInMeters) {
+    derived.bmi = round(weight / heightInMeters ** 2);
+    derived.bmiCategory = bmiCategory(derived.bmi);
+  }
+
+  if (isNumber(perimeters.waist)) {
+    derived.waistRisk = waistRisk(perimeters.waist, gender);
+
+    if (isNumber(perimeters.hip) && perimeters.hip > 0) {
+      derived.waistToHipRatio = round(perimeters.waist / perimeters.hip, 3);
+      derived.waistToHipRisk = waistToHipRisk(derived.waistToHipRatio, gender);
+    }
+    if (isNumber(height) && height > 0) {
+      derived.waistToHeightRatio = round(perimeters.waist / height, 3);
+      derived.waistToHeightRisk = waistToHeightRisk(derived.waistToHeightRatio);
+    }
+  }
+
+  derived.sumOf6Skinfolds = round(sumOfSites(skinfolds, SUM_OF_6_SITES), 1);
+  derived.sumOf8Skinfolds = round(sumOfSites(skinfolds, SUM_OF_8_SITES), 1);
+
+  derived.correctedArmGirth = round(correctedGirth(perimeters.arm, skinfolds.triceps));
+  derived.correctedThighGirth = round(correctedGirth(perimeters.thigh, skinfolds.thigh));
+  derived.correctedCalfGirth = round(correctedGirth(perimeters.calf, skinfolds.calf));
+
+  if (isNumber(weight) && isNumber(bodyFatPercentage)) {
+    const fatMass = weight * bodyFatPercentage / 100;
+    const fatFreeMass = isNumber(leanMass) ? leanMass : weight - fatMass;
+    derived.fatMass = round(fatMass);
+
+    if (heightInMeters) {
+      derived.fatFreeMassIndex = round(fatFreeMass / heightInMeters ** 2);
+      derived.fatMassIndex = round(fatMass / heightInMeters ** 2);
+    }
+  }
+
+  return derived;
+};
+
+module.exports = {
+  SUM_OF_6_SITES,
+  SUM_OF_8_SITES,
+  calculateDerivedIndices
+}; 
\ No newline at end of file
@@ -0,0 +1,353 @@
+// Decoder for Garmin FIT (Flexible and Interoperable Data Transfer) files.
+// Only the messages and fields the platform imports are named, everything
+// else is still read so the file can be walked, then dropped.
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH = 631065600;
+
+const DEVELOPER_DATA_FLAG = 0x20;
+const DEFINITION_FLAG = 0x40;
+const COMPRESSED_TIMESTAMP_FLAG = 0x80;
+
+// Base types keyed by base type number (the low five bits of the type byte)
+const BASE_TYPES = {
+  0: { name: 'enum', size: 1, invalid: 0xFF, read: (view, offset) => view.getUint8(offset) },
+  1: { name: 'sint8', size: 1, invalid: 0x7F, read: (view, offset) => view.getInt8(offset) },
+  2: { name: 'uint8', size: 1, invalid: 0xFF, read: (view, offset) => view.getUint8(offset) },
+  3: { name: 'sint16', size: 2, invalid: 0x7FFF, read: (view, offset, le) => view.getInt16(offset, le) },
+  4: { name: 'uint16', size: 2, invalid: 0xFFFF, read: (view, offset, le) => view.getUint16(offset, le) },
+  5: { name: 'sint32', size: 4, invalid: 0x7FFFFFFF, read: (view, offset, le) => view.getInt32(offset, le) },
+  6: { name: 'uint32', size: 4, invalid: 0xFFFFFFFF, read: (view, offset, le) => view.getUint32(offset, le) },
+  7: { name: 'string', size: 1 },
+  8: { name: 'float32', size: 4, read: (view, offset, le) => view.getFloat32(offset, le) },
+  9: { name: 'float64', size: 8, read: (view, offset, le) => view.getFloat64(offset, le) },
+  10: { name: 'uint8z', size: 1, invalid: 0, read: (view, offset) => view.getUint8(offset) },
+  11: { name: 'uint16z', size: 2, invalid: 0, read: (view, offset, le) => view.getUint16(offset, le) },
+  12: { name: 'uint32z', size: 4, invalid: 0, read: (view, offset, le) => view.getUint32(offset, le) },
+  13: { name: 'byte', size: 1, invalid: 0xFF, read: (view, offset) => view.getUint8(offset) },
+  14: { name: 'sint64', size: 8, invalid: 0x7FFFFFFFFFFFFFFFn, read: (view, offset, le) => view.getBigInt64(offset, le) },
+  15: { name: 'uint64', size: 8, invalid: 0xFFFFFFFFFFFFFFFFn, read: (view, offset, le) => view.getBigUint64(offset, le) },
+  16: { name: 'uint64z', size: 8, invalid: 0n, read: (view, offset, le) => view.getBigUint64(offset, le) }
+};
+
+// Fields every message may carry
+const COMMON_FIELDS = {
+  253: { name: 'timestamp', type: 'date_time' },
+  254: { name: 'messageIndex' }
+};
+
+// Subset of the FIT profile: global message number to message and field names,
+// with the scale and offset turning raw values into units
+const MESSAGES = {
+  0: {
+    name: 'fileId',
+    fields: {
+      0: { name: 'type' },
+      1: { name: 'manufacturer' },
+      2: { name: 'product' },
+      3: { name: 'serialNumber' },
+      4: { name: 'timeCreated', type: 'date_time' },
+      5: { name: 'number' },
+      8: { name: 'productName' }
+    }
+  },
+  18: {
+    name: 'session',
+    fields: {
+      2: { name: 'startTime', type: 'date_time' },
+      5: { name: 'sport' },
+      6: { name: 'subSport' },
+      7: { name: 'totalElapsedTime', scale: 1000 },
+      8: { name: 'totalTimerTime', scale: 1000 },
+      9: { name: 'totalDistance', scale: 100 },
+      11: { name: 'totalCalories' },
+      14: { name: 'avgSpeed', scale: 1000 },
+      15: { name: 'maxSpeed', scale: 1000 },
+      16: { name: 'avgHeartRate' },
+      17: { name: 'maxHeartRate' },
+      20: { name: 'avgPower' },
+      21: { name: 'maxPower' },
+      24: { name: 'totalTrainingEffect', scale: 10 },
+      34: { name: 'normalizedPower' },
+      35: { name: 'trainingStressScore', scale: 10 },
+      36: { name: 'intensityFactor', scale: 1000 },
+      124: { name: 'enhancedAvgSpeed', scale: 1000 },
+      125: { name: 'enhancedMaxSpeed', scale: 1000 },
+      137: { name: 'totalAnaerobicTrainingEffect', scale: 10 },
+      168: { name: 'trainingLoadPeak', scale: 65536 }
+    }
+  },
+  55: {
+    name: 'monitoring',
+    fields: {
+      1: { name: 'calories' },
+      // Steps when the activity type is walking or running
+      3: { name: 'cycles' },
+      5: { name: 'activityType' },
+      24: { name: 'currentActivityTypeIntensity' },
+      26: { name: 'timestamp16' },
+      27: { name: 'heartRate' }
+    }
+  },
+  103: {
+    name: 'monitoringInfo',
+    fields: {
+      0: { name: 'localTimestamp', type: 'date_time' }
+    }
+  },
+  206: {
+    name: 'fieldDescription',
+    fields: {
+      0: { name: 'developerDataIndex' },
+      1: { name: 'fieldDefinitionNumber' },
+      2: { name: 'fitBaseTypeId' },
+      3: { name: 'fieldName' },
+      6: { name: 'scale' },
+      7: { name: 'offset' },
+      8: { name: 'units' }
+    }
+  },
+  211: {
+    name: 'monitoringHrData',
+    fields: {
+      0: { name: 'restingHeartRate' },
+      1: { name: 'currentDayRestingHeartRate' }
+    }
+  },
+  227: {
+    name: 'stressLevel',
+    fields: {
+      0: { name: 'stressLevelValue' },
+      1: { name: 'stressLevelTime', type: 'date_time' }
+    }
+  },
+  275: {
+    name: 'sleepLevel',
+    fields: {
+      0: { name: 'sleepLevel' }
+    }
+  },
+  370: {
+    name: 'hrvStatusSummary',
+    fields: {
+      0: { name: 'weeklyAverage', scale: 128 },
+      1: { name: 'lastNightAverage', scale: 128 },
+      2: { name: 'lastNight5MinHigh', scale: 128 },
+      3: { name: 'baselineLowUpper', scale: 128 },
+      4: { name: 'baselineBalancedLower', scale: 128 },
+      5: { name: 'baselineBalancedUpper', scale: 128 },
+      6: { name: 'status' }
+    }
+  },
+  371: {
+    name: 'hrvValue',
+    fields: {
+      0: { name: 'value', scale: 128 }
+    }
+  }
+};
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+// FIT CRC-16 of bytes [start, end)
+const fitCrc = (bytes, start = 0, end = bytes.length) => {
+  let crc = 0;
+  for (let index = start; index < end; index++) {
+    const byte = bytes[index];
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+};
+
+const toDate = (seconds) => new Date((seconds + FIT_EPOCH) * 1000);
+
+// Raw value of a field, arrays for multi-value fields and undefined for the
+// base type's invalid value
+const readValue = (view, offset, size, baseTypeByte, littleEndian) => {
+  const baseType = BASE_TYPES[baseTypeByte & 0x1F] || BASE_TYPES[13];
+
+  if (baseType.name === 'string') {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+    const end = bytes.indexOf(0);
+    const text = Buffer.from(end === -1 ? bytes : bytes.subarray(0, end)).toString('utf8');
+    return text || undefined;
+  }
+
+  if (size < baseType.size || size % baseType.size) {
+    return undefined;
+  }
+
+  const values = [];
+  for (let position = offset; position < offset + size; position += baseType.size) {
+    const value = baseType.read(view, position, littleEndian);
+    if (value === baseType.invalid || Number.isNaN(value)) {
+      values.push(undefined);
+    } else {
+      values.push(typeof value === 'bigint' ? Number(value) : value);
+    }
+  }
+
+  if (values.length === 1) return values[0];
+  return values.some(value => value !== undefined) ? values : undefined;
+};
+
+// Apply a field's scale, offset and type to a raw value
+const convertValue = (value, { scale = 1, offset = 0, type } = {}) => {
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined ? item : convertValue(item, { scale, offset, type })));
+  }
+  if (typeof value !== 'number') return value;
+  if (type === 'date_time') return toDate(value);
+  return value / scale - offset;
+};
+
+// Decode a FIT file into its messages. Chained FIT files are read one after
+// another. Throws when the file is not a FIT file or fails its CRC check.
+const decodeFit = (input) => {
+  const bytes = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const messages = [];
+  let start = 0;
+
+  while (start < bytes.length) {
+    const headerSize = bytes[start];
+    if (![12, 14].includes(headerSize) || start + headerSize > bytes.length ||
+        bytes.toString('ascii', start + 8, start + 12) !== '.FIT') {
+      throw new Error('Not a FIT file');
+    }
+
+    const dataSize = view.getUint32(start + 4, true);
+    const end = start + headerSize + dataSize;
+    if (end + 2 > bytes.length) {
+      throw new Error('FIT file is truncated');
+    }
+
+    if (headerSize === 14) {
+      const headerCrc = view.getUint16(start + 12, true);
+      if (headerCrc !== 0 && headerCrc !== fitCrc(bytes, start, start + 12)) {
+        throw new Error('FIT file header failed its CRC check');
+      }
+    }
+    if (view.getUint16(end, true) !== fitCrc(bytes, start, end)) {
+      throw new Error('FIT file failed its CRC check');
+    }
+
+    const definitions = {};
+    const developerFields = {};
+    let lastTimestamp;
+    let offset = start + headerSize;
+
+    while (offset < end) {
+      const header = bytes[offset++];
+      let localType;
+      let timestamp;
+
+      if (header & COMPRESSED_TIMESTAMP_FLAG) {
+        localType = (header >> 5) & 0x03;
+        if (lastTimestamp === undefined) {
+          throw new Error('Compressed timestamp before any timestamp in FIT file');
+        }
+        // Five bit offset from the last full timestamp, rolling over every 32 s
+        const timeOffset = header & 0x1F;
+        timestamp = lastTimestamp - (lastTimestamp & 0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) timestamp += 0x20;
+        lastTimestamp = timestamp;
+      } else if (header & DEFINITION_FLAG) {
+        const littleEndian = bytes[offset + 1] === 0;
+        const globalNumber = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = bytes[offset + 4];
+        offset += 5;
+
+        const fields = [];
+        for (let index = 0; index < fieldCount; index++, offset += 3) {
+          fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+        }
+
+        const devFields = [];
+        if (header & DEVELOPER_DATA_FLAG) {
+          const devFieldCount = bytes[offset++];
+          for (let index = 0; index < devFieldCount; index++, offset += 3) {
+            devFields.push({ number: bytes[offset], size: bytes[offset + 1], developerDataIndex: bytes[offset + 2] });
+          }
+        }
+
+        definitions[header & 0x0F] = { littleEndian, globalNumber, fields, devFields };
+        continue;
+      } else {
+        localType = header & 0x0F;
+      }
+
+      const definition = definitions[localType];
+      if (!definition) {
+        throw new Error(`FIT data message without a definition for local type ${localType}`);
+      }
+
+      const profile = MESSAGES[definition.globalNumber];
+      const message = {
+        name: profile ? profile.name : undefined,
+        number: definition.globalNumber,
+        fields: {}
+      };
+
+      definition.fields.forEach(field => {
+        const raw = readValue(view, offset, field.size, field.baseType, definition.littleEndian);
+        offset += field.size;
+
+        const spec = COMMON_FIELDS[field.number] || (profile && profile.fields[field.number]);
+        if (!spec || raw === undefined) return;
+
+        if (field.number === 253) lastTimestamp = raw;
+        message.fields[spec.name] = convertValue(raw, spec);
+      });
+
+      definition.devFields.forEach(field => {
+        const description = developerFields[`${field.developerDataIndex}:${field.number}`];
+        const raw = readValue(view, offset, field.size, description ? description.fitBaseTypeId : 13, definition.littleEndian);
+        offset += field.size;
+
+        if (raw === undefined) return;
+        message.developerFields = message.developerFields || {};
+        message.developerFields[description && description.fieldName ? description.fieldName : `${field.developerDataIndex}:${field.number}`] =
+          description ? convertValue(raw, description) : raw;
+      });
+
+      if (timestamp !== undefined) {
+        message.fields.timestamp = toDate(timestamp);
+      }
+
+      // 16 bit timestamps count from the last full timestamp
+      if (message.fields.timestamp16 !== undefined && !message.fields.timestamp && lastTimestamp !== undefined) {
+        lastTimestamp += (message.fields.timestamp16 - (lastTimestamp & 0xFFFF)) & 0xFFFF;
+        message.fields.timestamp = toDate(lastTimestamp);
+      }
+
+      if (message.name === 'fieldDescription') {
+        const { developerDataIndex, fieldDefinitionNumber } = message.fields;
+        developerFields[`${developerDataIndex}:${fieldDefinitionNumber}`] = message.fields;
+      }
+
+      if (message.name) {
+        messages.push(message);
+      }
+    }
+
+    start = end + 2;
+  }
+
+  return { messages };
+};
+
+module.exports = {
+  FIT_EPOCH,
+  MESSAGES,
+  fitCrc,
+  decodeFit
+}; 
\ No newline at end of file
@@ -0,0 +1,104 @@
+const { round, sum, isNumber } = require('./math');
+const { PHANTOM_HEIGHT, PHANTOM_SITTING_HEIGHT } = require('./phantom');
+
+// Girth (cm) corrected for the overlying skinfold (mm)
+const correctGirth = (girth, skinfold) => girth - Math.PI * skinfold / 10;
+
+const allNumbers = (values) => values.every(isNumber);
+
+// Mass of a tissue from its phantom proportionality score
+const phantomMass = (total, scale, { mean, sd, massMean, massSd }) => {
+  const z = (total * scale - mean) / sd;
+  return (z * massSd + massMean) / scale ** 3;
+};
+
+const calculateSkinMass = ({ height, weight }, { gender, age }) => {
+  if (!allNumbers([height, weight]) || !['male', 'female'].includes(gender)) return undefined;
+
+  const constant = isNumber(age) && age < 12 ? 70.691 : 68.308;
+  const surfaceArea = constant * weight ** 0.425 * height ** 0.725 / 10000;
+  const thickness = gender === 'male' ? 2.07 : 1.96;
+  return surfaceArea * thickness * 1.05;
+};
+
+const calculateAdiposeMass = ({ height, skinfolds = {} }) => {
+  const sites = ['triceps', 'subscapular', 'supraspinal', 'abdominal', 'thigh', 'calf'].map(site => skinfolds[site]);
+  if (!allNumbers([height, ...sites])) return undefined;
+
+  return phantomMass(sum(sites), PHANTOM_HEIGHT / height, { mean: 116.41, sd: 34.79, massMean: 25.6, massSd: 5.85 });
+};
+
+const calculateMuscleMass = ({ height, skinfolds = {}, perimeters = {} }) => {
+  const { arm, forearm, thigh, calf, chest } = perimeters;
+  if (!allNumbers([height, arm, forearm, thigh, calf, chest, skinfolds.triceps, skinfolds.thigh,
+    skinfolds.calf, skinfolds.subscapular])) {
+    return undefined;
+  }
+
+  const girths = [
+    correctGirth(arm, skinfolds.triceps),
+    forearm,
+    correctGirth(thigh, skinfolds.thigh),
+    correctGirth(calf, skinfolds.calf),
+    correctGirth(chest, skinfolds.subscapular)
+  ];
+  return phantomMass(sum(girths), PHANTOM_HEIGHT / height, { mean: 207.21, sd: 13.74, massMean: 24.5, massSd: 5.4 });
+};
+
+const calculateBoneMass = ({ height, perimeters = {}, breadths = {} }) => {
+  const { biacromial, biiliocristal, humerus, femur } = breadths;
+  if (!allNumbers([height, perimeters.head, biacromial, biiliocristal, humerus, femur])) return undefined;
+
+  const headZ = (perimeters.head - 56.0) / 1.44;
+  const head = headZ * 0.18 + 1.20;
+  const body = phantomMass(biacromial + biiliocristal + 2 * humerus + 2 * femur, PHANTOM_HEIGHT / height,
+    { mean: 98.88, sd: 5.33, massMean: 6.70, massSd: 1.34 });
+  return head + body;
+};
+
+const calculateResidualMass = ({ sittingHeight, skinfolds = {}, perimeters = {}, breadths = {} }) => {
+  const { transverseChest, anteroposteriorChest } = breadths;
+  if (!allNumbers([sittingHeight, transverseChest, anteroposteriorChest, perimeters.waist, skinfolds.abdominal])) {
+    return undefined;
+  }
+
+  const total = transverseChest + anteroposteriorChest + correctGirth(perimeters.waist, skinfolds.abdominal);
+  return phantomMass(total, PHANTOM_SITTING_HEIGHT / sittingHeight,
+    { mean: 109.35, sd: 7.08, massMean: 6.10, massSd: 1.24 });
+};
+
+// Kerr (1988) five-way fractionation of body mass. Returns each tissue mass
+// (kg) and percentage, plus the gap between predicted and measured body mass.
+const calculateFractionation = (measurement, athlete = {}) => {
+  const masses = {
+    adipose: calculateAdiposeMass(measurement),
+    muscle: calculateMuscleMass(measurement),
+    bone: calculateBoneMass(measurement),
+    skin: calculateSkinMass(measurement, athlete),
+    residual: calculateResidualMass(measurement)
+  };
+
+  const missingComponents = Object.keys(masses).filter(component => !isNumber(masses[component]));
+  const fractionation = { missingComponents };
+
+  Object.entries(masses).forEach(([component, mass]) => {
+    fractionation[component] = {
+      mass: round(mass),
+      percentage: isNumber(mass) && measurement.weight ? round(mass / measurement.weight * 100) : undefined
+    };
+  });
+
+  if (!missingComponents.length && isNumber(measurement.weight)) {
+    const predictedMass = sum(Object.values(masses));
+    fractionation.predictedMass = round(predictedMass);
+    fractionation.massDifference = round(predictedMass - measurement.weight);
+    fractionation.massDifferencePercentage = round((predictedMass - measurement.weight) / measurement.weight * 100);
+  }
+
+  return fractionation;
+};
+
+module.exports = {
+  correctGirth,
+  calculateFractionation
+}; 
\ No newline at end of file
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { round, sum, mean } = require('./math');
+
+const GARMIN_MANUFACTURER = 1;
+
+// FIT file types of the files athletes download from Garmin Connect
+const FIT_FILE_TYPES = {
+  4: 'activity',
+  15: 'monitoring',
+  28: 'monitoringDaily',
+  32: 'monitoring'
+};
+
+const FIT_SPORTS = {
+  0: 'generic',
+  1: 'running',
+  2: 'cycling',
+  4: 'fitness_equipment',
+  5: 'swimming',
+  6: 'basketball',
+  7: 'soccer',
+  8: 'tennis',
+  9: 'american_football',
+  10: 'training',
+  11: 'walking',
+  12: 'cross_country_skiing',
+  15: 'rowing',
+  17: 'hiking',
+  18: 'multisport'
+};
+
+// Monitoring activity types whose cycles are steps
+const STEP_ACTIVITY_TYPES = [1, 6];
+
+// Sleep levels counted as time asleep
+const SLEEP_LEVELS = { 2: 'lightSleep', 3: 'deepSleep', 4: 'remSleep' };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const messagesNamed = (messages, name) => messages
+  .filter(message => message.name === name)
+  .map(message => message.fields);
+
+// Identity of a FIT file: its file_id fields, which Garmin guarantees to be
+// unique per file, or a hash of the content when the file has none
+const fitFileKey = (messages, buffer) => {
+  const [fileId] = messagesNamed(messages, 'fileId');
+  if (fileId && (fileId.serialNumber !== undefined || fileId.timeCreated !== undefined)) {
+    return ['type', 'manufacturer', 'product', 'serialNumber', 'timeCreated', 'number']
+      .map(field => (fileId[field] instanceof Date ? fileId[field].toISOString() : fileId[field]))
+      .join(':');
+  }
+  return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+};
+
+const fitFileInfo = (messages) => {
+  const [fileId = {}] = messagesNamed(messages, 'fileId');
+  return {
+    fileType: FIT_FILE_TYPES[fileId.type] || (fileId.type !== undefined ? `type_${fileId.type}` : undefined),
+    manufacturer: fileId.manufacturer === GARMIN_MANUFACTURER ? 'garmin' : fileId.manufacturer,
+    product: fileId.productName || fileId.product,
+    serialNumber: fileId.serialNumber,
+    timeCreated: fileId.timeCreated
+  };
+};
+
+// One performance record per activity session. Speeds are converted from m/s
+// to km/h, durations to minutes and distances to km.
+const extractActivities = (messages) => messagesNamed(messages, 'session').map(session => {
+  const avgSpeed = session.enhancedAvgSpeed !== undefined ? session.enhancedAvgSpeed : session.avgSpeed;
+  const maxSpeed = session.enhancedMaxSpeed !== undefined ? session.enhancedMaxSpeed : session.maxSpeed;
+
+  return {
+    date: session.startTime || session.timestamp,
+    power: session.avgPower,
+    speed: round(avgSpeed * 3.6),
+    // Garmin's EPOC based load is not in the session-RPE units of trainingLoad,
+    // so it stays with the activity and out of the workload ratios
+    activity: {
+      source: 'garmin',
+      sport: FIT_SPORTS[session.sport] || (session.sport !== undefined ? `sport_${session.sport}` : undefined),
+      duration: round(session.totalTimerTime / 60),
+      distance: round(session.totalDistance / 1000, 3),
+      calories: session.totalCalories,
+      maxSpeed: round(maxSpeed * 3.6),
+      avgHeartRate: session.avgHeartRate,
+      maxHeartRate: session.maxHeartRate,
+      maxPower: session.maxPower,
+      normalizedPower: session.normalizedPower,
+      trainingLoadPeak: round(session.trainingLoadPeak, 1),
+      aerobicTrainingEffect: session.totalTrainingEffect,
+      anaerobicTrainingEffect: session.totalAnaerobicTrainingEffect
+    }
+  };
+});
+
+// Daily health records from monitoring, stress, sleep and HRV messages, one
+// per calendar day in the device's local time
+const extractDailyHealth = (messages) => {
+  const [info] = messagesNamed(messages, 'monitoringInfo');
+  const localOffset = info && info.localTimestamp && info.timestamp ? info.localTimestamp - info.timestamp : 0;
+  const localDay = (date) => new Date(date.getTime() + localOffset).toISOString().slice(0, 10);
+  // A night belongs to the day the athlete wakes up
+  const nightDay = (date) => localDay(new Date(date.getTime() + 12 * HOUR_MS));
+
+  const days = new Map();
+  const getDay = (day) => {
+    if (!days.has(day)) {
+      days.set(day, { steps: new Map(), stress: [], hrvValues: [], sleep: {} });
+    }
+    return days.get(day);
+  };
+
+  // Cycles are running totals per activity type that reset every day
+  messagesNamed(messages, 'monitoring').forEach(monitoring => {
+    const activityType = monitoring.activityType !== undefined
+      ? monitoring.activityType
+      : monitoring.currentActivityTypeIntensity !== undefined ? monitoring.currentActivityTypeIntensity & 0x1F : undefined;
+    if (!monitoring.timestamp || monitoring.cycles === undefined || !STEP_ACTIVITY_TYPES.includes(activityType)) return;
+
+    const { steps } = getDay(localDay(monitoring.timestamp));
+    steps.set(activityType, Math.max(steps.get(activityType) || 0, monitoring.cycles));
+  });
+
+  messagesNamed(messages, 'monitoringHrData').forEach(hrData => {
+    const value = hrData.restingHeartRate !== undefined ? hrData.restingHeartRate : hrData.currentDayRestingHeartRate;
+    if (hrData.timestamp && value) {
+      getDay(localDay(hrData.timestamp)).restingHeartRate = value;
+    }
+  });
+
+  // Negative stress values mark off-wrist or too active to measure
+  messagesNamed(messages, 'stressLevel').forEach(stress => {
+    const time = stress.stressLevelTime || stress.timestamp;
+    if (time && stress.stressLevelValue >= 0 && stress.stressLevelValue <= 100) {
+      getDay(localDay(time)).stress.push(stress.stressLevelValue);
+    }
+  });
+
+  // Each sleep level lasts until the next one
+  const levels = messagesNamed(messages, 'sleepLevel')
+    .filter(level => level.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  levels.slice(0, -1).forEach((level, index) => {
+    const stage = SLEEP_LEVELS[level.sleepLevel];
+    if (!stage) return;
+    const { sleep } = getDay(nightDay(level.timestamp));
+    sleep[stage] = (sleep[stage] || 0) + (levels[index + 1].timestamp - level.timestamp) / 60000;
+  });
+
+  messagesNamed(messages, 'hrvValue').forEach(hrv => {
+    if (hrv.timestamp && hrv.value !== undefined) {
+      getDay(nightDay(hrv.timestamp)).hrvValues.push(hrv.value);
+    }
+  });
+
+  messagesNamed(messages, 'hrvStatusSummary').forEach(summary => {
+    if (summary.timestamp && summary.lastNightAverage !== undefined) {
+      getDay(localDay(summary.timestamp)).hrvSummary = summary.lastNightAverage;
+    }
+  });
+
+  return [...days.keys()].sort().map(day => {
+    const totals = days.get(day);
+    const asleep = Object.values(totals.sleep);
+
+    return {
+      // Midday UTC keeps the stored day equal to the device's local day
+      date: new Date(`${day}T12:00:00.000Z`),
+      source: 'garmin',
+      steps: totals.steps.size ? sum([...totals.steps.values()]) : undefined,
+      stress: round(mean(totals.stress), 0),
+      restingHeartRate: totals.restingHeartRate,
+      heartRateVariability: round(totals.hrvSummary !== undefined ? totals.hrvSummary : mean(totals.hrvValues), 1),
+      sleep: asleep.length ? {
+        duration: round(sum(asleep), 0),
+        lightSleep: round(totals.sleep.lightSleep || 0, 0),
+        deepSleep: round(totals.sleep.deepSleep || 0, 0),
+        remSleep: round(totals.sleep.remSleep || 0, 0)
+      } : undefined
+    };
+  });
+};
+
+module.exports = {
+  FIT_FILE_TYPES,
+  FIT_SPORTS,
+  fitFileKey,
+  fitFileInfo,
+  extractActivities,
+  extractDailyHealth
+}; 
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { round, isNumber, linearRegression } = require('./math');
+const { getValue } = require('./norms');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Metrics a goal can target, where their history is read from and the unit
+// quantity of their values
+const GOAL_METRICS = {
+  weight: { source: 'anthropometric', path: 'weight', quantity: 'mass' },
+  bodyFatPercentage: { source: 'anthropometric', path: 'bodyFatPercentage', quantity: 'percentage' },
+  leanMass: { source: 'anthropometric', path: 'leanMass', quantity: 'mass' },
+  fatMass: { source: 'anthropometric', path: 'derived.fatMass', quantity: 'mass' },
+  sumOf6Skinfolds: { source: 'anthropometric', path: 'derived.sumOf6Skinfolds', quantity: 'skinfold' },
+  sumOf8Skinfolds: { source: 'anthropometric', path: 'derived.sumOf8Skinfolds', quantity: 'skinfold' },
+  vo2max: { source: 'performance', path: 'vo2max', quantity: 'oxygenUptake' },
+  power: { source: 'performance', path: 'power', quantity: 'power' },
+  speed: { source: 'performance', path: 'speed', quantity: 'speed' },
+  // Results of a catalog test, in the test's own unit
+  performanceTest: { source: 'performance' }
+};
+
+// Weekly change considered unsafe, as a percentage of the current value, for
+// goals without their own limit. Losing 0.5-1% of body mass a week, mostly as
+// fat, is about 5% of fat mass, body fat percentage or skinfolds a week.
+const DEFAULT_MAX_WEEKLY_CHANGE_PERCENTAGE = {
+  weight: 1,
+  leanMass: 1,
+  bodyFatPercentage: 5,
+  fatMass: 5,
+  sumOf6Skinfolds: 5,
+  sumOf8Skinfolds: 5
+};
+
+// Metrics where only losing too fast is unsafe
+const LOSS_LIMITED_METRICS = ['weight', 'bodyFatPercentage', 'fatMass', 'sumOf6Skinfolds', 'sumOf8Skinfolds'];
+
+const recordValue = (goal, record) => {
+  const { path } = GOAL_METRICS[goal.metric];
+  if (path) return getValue(record, path);
+  const result = (record.results || []).find(entry => String(entry.testId) === String(goal.testId));
+  return result ? result.value : undefined;
+};
+
+// Dated values of a goal's metric from measurement or performance records
+const extractHistory = (goal, records) => records
+  .map(record => ({ date: new Date(record.date), value: recordValue(goal, record) }))
+  .filter(entry => isNumber(entry.value))
+  .sort((a, b) => a.date - b.date);
+
+// Largest safe weekly change of a goal around a value
+const weeklyChangeLimit = (goal, value) => {
+  if (isNumber(goal.maxWeeklyChange)) return goal.maxWeeklyChange;
+  const percentage = isNumber(goal.maxWeeklyChangePercentage)
+    ? goal.maxWeeklyChangePercentage
+    : DEFAULT_MAX_WEEKLY_CHANGE_PERCENTAGE[goal.metric];
+  return isNumber(percentage) && isNumber(value) ? Math.abs(value) * percentage / 100 : undefined;
+};
+
+// Whether a signed weekly rate is faster than a goal's safe limit
+const exceedsLimit = (goal, rate, limit) => isNumber(limit) && isNumber(rate) &&
+  Math.abs(rate) > limit && !(LOSS_LIMITED_METRICS.includes(goal.metric) && rate > 0);
+
+// Progress of a goal from its metric history, the weekly trend since the goal
+// started and the date the target is reached if that trend continues
+const evaluateGoal = (goal, history, now = new Date()) => {
+  const startDate = new Date(goal.startDate || goal.createdAt || now);
+  const tracked = history.filter(entry => entry.date >= startDate);
+  const latest = history[history.length - 1];
+  const startValue = isNumber(goal.startValue) ? goal.startValue : (tracked[0] || {}).value;
+
+  const progress = {
+    startValue,
+    currentValue: latest ? latest.value : undefined,
+    currentDate: latest ? latest.date : undefined,
+    dataPoints: tracked.length
+  };
+
+  if (!latest || !isNumber(startValue)) {
+    return { ...progress, achieved: false, offTrack: false, unsafeRate: false };
+  }
+
+  const direction = Math.sign(goal.targetValue - startValue);
+  const remaining = goal.targetValue - latest.value;
+  const achieved = direction === 0 || remaining * direction <= 0;
+  const weeksLeft = (new Date(goal.deadline) - now) / WEEK_MS;
+
+  progress.remaining = round(remaining);
+  progress.percentage = direction === 0
+    ? 100
+    : round((latest.value - startValue) / (goal.targetValue - startValue) * 100, 1);
+
+  const fit = linearRegression(tracked.map(entry => ({ x: entry.date.getTime() / WEEK_MS, y: entry.value })));
+  progress.trendPerWeek = fit ? round(fit.slope, 3) : undefined;
+
+  if (!achieved && fit && Math.sign(fit.slope) === direction) {
+    progress.projectedCompletionDate = new Date(latest.date.getTime() + remaining / fit.slope * WEEK_MS);
+  }
+
+  const limit = weeklyChangeLimit(goal, latest.value);
+  progress.maxWeeklyChange = round(limit, 3);
+
+  if (!achieved && weeksLeft > 0) {
+    progress.requiredRatePerWeek = round(remaining / weeksLeft, 3);
+  }
+
+  return {
+    ...progress,
+    achieved,
+    overdue: !achieved && weeksLeft <= 0,
+    offTrack: !achieved && (!progress.projectedCompletionDate || progress.projectedCompletionDate > new Date(goal.deadline)),
+    // The target needs a faster change than is safe, or the current trend is already too fast
+    unsafeRate: !achieved && (
+      (weeksLeft > 0 && exceedsLimit(goal, remaining / weeksLeft, limit)) ||
+      Boolean(fit && exceedsLimit(goal, fit.slope, limit))
+    )
+  };
+};
+
+module.exports = {
+  GOAL_METRICS,
+  DEFAULT_MAX_WEEKLY_CHANGE_PERCENTAGE,
+  LOSS_LIMITED_METRICS,
+  extractHistory,
+  evaluateGoal
+}; 
\ No newline at end of file
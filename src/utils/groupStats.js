@@ -0,0 +1,48 @@
+const { round, isNumber, mean, standardDeviation } = require('./math');
+
+// Mean, SD, min and max of the known values of a group
+const describe = (values) => {
+  const known = values.filter(isNumber);
+  if (!known.length) {
+    return { n: 0 };
+  }
+  return {
+    n: known.length,
+    mean: round(mean(known)),
+    sd: round(standardDeviation(known)),
+    min: round(Math.min(...known)),
+    max: round(Math.max(...known))
+  };
+};
+
+const zScore = (value, values) => {
+  const known = values.filter(isNumber);
+  const sd = standardDeviation(known);
+  return isNumber(value) && sd ? round((value - mean(known)) / sd) : undefined;
+};
+
+// Descriptive statistics per variable for a group of athletes, and each
+// athlete's z-score within that group. Athletes are { values: { variable } }.
+const groupAnalytics = (athletes, variables) => {
+  const columns = variables.reduce((result, variable) => {
+    result[variable] = athletes.map(athlete => athlete.values[variable]);
+    return result;
+  }, {});
+
+  return {
+    statistics: variables.reduce((result, variable) => {
+      result[variable] = describe(columns[variable]);
+      return result;
+    }, {}),
+    zScores: athletes.map(athlete => variables.reduce((result, variable) => {
+      result[variable] = zScore(athlete.values[variable], columns[variable]);
+      return result;
+    }, {}))
+  };
+};
+
+module.exports = {
+  describe,
+  zScore,
+  groupAnalytics
+}; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+const { isNumber } = require('./math');
+const { getValue } = require('./norms');
+
+// Wearable and app integrations plus values the athlete entered by hand
+const HEALTH_SOURCES = ['garmin', 'google_fit', 'apple_health', 'manual'];
+
+// Fields merged together from a single source, so a night's sleep stages are
+// never mixed across devices
+const HEALTH_FIELD_GROUPS = {
+  sleep: ['sleep.duration', 'sleep.quality', 'sleep.deepSleep', 'sleep.lightSleep', 'sleep.remSleep'],
+  stress: ['stress'],
+  restingHeartRate: ['restingHeartRate'],
+  heartRateVariability: ['heartRateVariability'],
+  steps: ['steps'],
+  bodyMass: ['bodyMass']
+};
+
+const DEFAULT_SOURCE_PRIORITY = ['garmin', 'apple_health', 'google_fit', 'manual'];
+
+// Source order of a field group, the user's preference first then the defaults
+const sourceOrder = (priority, group) => {
+  const preferred = (priority && priority[group]) || [];
+  return [...preferred, ...DEFAULT_SOURCE_PRIORITY.filter(source => !preferred.includes(source))];
+};
+
+const setValue = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+// One record for a user's day, each field group taken from the highest
+// priority source that reported it, with the source recorded as provenance
+const consolidateDay = (records, priority) => {
+  const bySource = new Map(records.map(record => [record.source, record]));
+  const { userId, day, date } = records[0];
+  const consolidated = { userId, day, date, sources: [...bySource.keys()], provenance: {} };
+
+  Object.entries(HEALTH_FIELD_GROUPS).forEach(([group, fields]) => {
+    const source = sourceOrder(priority, group).find(candidate => {
+      const record = bySource.get(candidate);
+      return record && fields.some(field => isNumber(getValue(record, field)));
+    });
+    if (!source) return;
+
+    fields.forEach(field => {
+      const value = getValue(bySource.get(source), field);
+      if (isNumber(value)) setValue(consolidated, field, value);
+    });
+    consolidated.provenance[group] = source;
+  });
+
+  return consolidated;
+};
+
+// Consolidated daily records of one user, oldest first
+const consolidateDaily = (records, priority) => {
+  const days = records.reduce((grouped, record) => {
+    grouped.set(record.day, [...(grouped.get(record.day) || []), record]);
+    return grouped;
+  }, new Map());
+
+  return [...days.keys()].sort().map(day => consolidateDay(days.get(day), priority));
+};
+
+module.exports = {
+  HEALTH_SOURCES,
+  HEALTH_FIELD_GROUPS,
+  DEFAULT_SOURCE_PRIORITY,
+  consolidateDay,
+  consolidateDaily
+}; 
\ No newline at end of file
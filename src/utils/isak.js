@@ -0,0 +1,100 @@
+const { round, sum, mean, median } = require('./math');
+
+const READING_GROUPS = ['skinfolds', 'perimeters', 'breadths'];
+
+// Maximum difference (%) allowed between readings before another one is needed
+const READING_TOLERANCE = {
+  skinfolds: 5,
+  perimeters: 1,
+  breadths: 1
+};
+
+// Maximum intra-evaluator %TEM for ISAK accreditation levels
+const TEM_TARGETS = {
+  level1: { skinfolds: 7.5, perimeters: 1.5, breadths: 1.5 },
+  level2: { skinfolds: 5, perimeters: 1, breadths: 1 }
+};
+
+const relativeDifference = (a, b) => Math.abs(a - b) / mean([a, b]) * 100;
+
+// Canonical value of a site from its raw readings: the mean of two or the
+// median of three. The difference is checked between the first two readings,
+// or between the median and its closest reading once a third was taken.
+const summarizeReadings = (group, values) => {
+  const tolerance = READING_TOLERANCE[group];
+
+  if (values.length === 1) {
+    return { value: values[0], tolerance };
+  }
+
+  let value;
+  let difference;
+
+  if (values.length === 2) {
+    value = mean(values);
+    difference = relativeDifference(values[0], values[1]);
+  } else {
+    const sorted = [...values].sort((a, b) => a - b);
+    value = median(sorted);
+    difference = Math.min(relativeDifference(sorted[0], sorted[1]), relativeDifference(sorted[1], sorted[2]));
+  }
+
+  const exceedsTolerance = difference > tolerance;
+
+  return {
+    value: round(value),
+    difference: round(difference),
+    tolerance,
+    exceedsTolerance,
+    thirdReadingRequired: values.length === 2 && exceedsTolerance
+  };
+};
+
+// Intra-evaluator technical error of measurement per site from repeated
+// readings across sessions: TEM = sqrt(sum of within-site squares / df)
+const calculateTEM = (measurements) => {
+  const sites = {};
+
+  measurements.forEach(measurement => {
+    (measurement.readings || []).forEach(({ group, site, values }) => {
+      if (!values || values.length < 2) return;
+
+      const key = `${group}.${site}`;
+      if (!sites[key]) {
+        sites[key] = { group, site, sessions: 0, readings: 0, squares: 0, degreesOfFreedom: 0, total: 0 };
+      }
+
+      const siteMean = mean(values);
+      const entry = sites[key];
+      entry.sessions += 1;
+      entry.readings += values.length;
+      entry.squares += values.reduce((total, value) => total + (value - siteMean) ** 2, 0);
+      entry.degreesOfFreedom += values.length - 1;
+      entry.total += sum(values);
+    });
+  });
+
+  return Object.values(sites).map(({ group, site, sessions, readings, squares, degreesOfFreedom, total }) => {
+    const tem = Math.sqrt(squares / degreesOfFreedom);
+    const relativeTem = tem / (total / readings) * 100;
+
+    return {
+      group,
+      site,
+      sessions,
+      readings,
+      tem: round(tem, 3),
+      relativeTem: round(relativeTem),
+      meetsLevel1: relativeTem <= TEM_TARGETS.level1[group],
+      meetsLevel2: relativeTem <= TEM_TARGETS.level2[group]
+    };
+  });
+};
+
+module.exports = {
+  READING_GROUPS,
+  READING_TOLERANCE,
+  TEM_TARGETS,
+  summarizeReadings,
+  calculateTEM
+}; 
\ No newline at end of file
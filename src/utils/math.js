@@ -0,0 +1,70 @@
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+// Round a number to a fixed number of decimals, leaving missing values alone
+const round = (value, decimals = 2) => {
+  if (!isNumber(value)) {
+    return undefined;
+  }
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const mean = (values) => (values.length ? sum(values) / values.length : undefined);
+
+const median = (values) => {
+  if (!values.length) return undefined;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Sample standard deviation
+const standardDeviation = (values) => {
+  if (values.length < 2) return undefined;
+  const average = mean(values);
+  return Math.sqrt(sum(values.map(value => (value - average) ** 2)) / (values.length - 1));
+};
+
+// Quantile with linear interpolation between closest ranks, q in [0, 1]
+const quantile = (values, q) => {
+  if (!values.length) return undefined;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Least squares fit of y on x, points as [{ x, y }]
+const linearRegression = (points) => {
+  if (points.length < 2) return undefined;
+  const meanX = mean(points.map(point => point.x));
+  const meanY = mean(points.map(point => point.y));
+  const covariance = sum(points.map(point => (point.x - meanX) * (point.y - meanY)));
+  const variance = sum(points.map(point => (point.x - meanX) ** 2));
+  if (variance === 0) return undefined;
+  const slope = covariance / variance;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+module.exports = {
+  isNumber,
+  round,
+  sum,
+  mean,
+  median,
+  standardDeviation,
+  quantile,
+  linearRegression,
+  normalCdf
+}; 
\ No newline at end of file
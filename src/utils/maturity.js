@@ -0,0 +1,184 @@
+const fs = require('fs');
+const { round, isNumber } = require('./math');
+
+// Athletes up to this age are assessed for maturity
+const YOUTH_MAX_AGE = 18;
+
+// Maturity offset (years from peak height velocity) equations. Mirwald et al.
+// (2002) uses leg length, sitting height and weight; Moore et al. (2015) is the
+// simplified refit using sitting height (boys) or height (girls).
+const MATURITY_EQUATIONS = {
+  mirwald: {
+    name: 'Mirwald et al. (2002)',
+    calculate: ({ gender, age, height, sittingHeight, weight }) => {
+      const legLength = height - sittingHeight;
+      const weightByHeight = weight / height * 100;
+      return gender === 'male'
+        ? -9.236 + 0.0002708 * legLength * sittingHeight - 0.001663 * age * legLength +
+          0.007216 * age * sittingHeight + 0.02292 * weightByHeight
+        : -9.376 + 0.0001882 * legLength * sittingHeight + 0.0022 * age * legLength +
+          0.005841 * age * sittingHeight - 0.002658 * age * weight + 0.07693 * weightByHeight;
+    }
+  },
+  moore: {
+    name: 'Moore et al. (2015)',
+    calculate: ({ gender, age, height, sittingHeight }) => (gender === 'male'
+      ? -8.128741 + 0.0070346 * age * sittingHeight
+      : -7.709133 + 0.0042232 * age * height)
+  }
+};
+
+// Ages of the Khamis-Roche (1994) table, half years from 4 to 17.5
+const KHAMIS_ROCHE_AGES = Array.from({ length: 28 }, (value, index) => 4 + index / 2);
+
+// Read the Khamis-Roche (1994) table from a JSON file shaped as
+// { male: { '4': { intercept, stature, weight, midParentStature }, ... }, female: { ... } }
+// with coefficients for stature (in), weight (lb) and mid-parent stature (in).
+// Every sex and age must be present so predictions never use a partial table.
+const loadKhamisRocheCoefficients = (file) => {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  ['male', 'female'].forEach(gender => KHAMIS_ROCHE_AGES.forEach(age => {
+    const coefficients = table[gender] && table[gender][age];
+    if (!coefficients || !['intercept', 'stature', 'weight', 'midParentStature'].every(key => isNumber(coefficients[key]))) {
+      throw new Error(`Khamis-Roche table ${file} has no complete coefficients for ${gender} aged ${age}`);
+    }
+  }));
+
+  return { male: table.male, female: table.female };
+};
+
+// Coefficients come from the published table configured with
+// KHAMIS_ROCHE_COEFFICIENTS_FILE. A missing or incomplete file is logged and
+// leaves predictions unavailable rather than stopping the server.
+const configuredKhamisRocheCoefficients = () => {
+  const file = process.env.KHAMIS_ROCHE_COEFFICIENTS_FILE;
+  if (!file) return null;
+
+  try {
+    return loadKhamisRocheCoefficients(file);
+  } catch (error) {
+    console.error(`Khamis-Roche coefficients not loaded: ${error.message}`);
+    return null;
+  }
+};
+
+const KHAMIS_ROCHE_COEFFICIENTS = configuredKhamisRocheCoefficients();
+
+const INCHES_PER_CM = 1 / 2.54;
+const POUNDS_PER_KG = 2.20462262;
+
+// Maturity status around peak height velocity used for bio-banding
+const classifyOffset = (offset) => {
+  if (offset < -1) return 'pre_phv';
+  if (offset <= 1) return 'circa_phv';
+  return 'post_phv';
+};
+
+// Maturity status from the percentage of predicted adult height attained
+const classifyAdultHeightPercentage = (percentage) => {
+  if (percentage < 85) return 'pre_pubertal';
+  if (percentage < 90) return 'early_pubertal';
+  if (percentage < 95) return 'mid_pubertal';
+  return 'late_pubertal';
+};
+
+// Maturity offset and age at peak height velocity
+const calculateMaturityOffset = (inputs, { equation = 'mirwald' } = {}) => {
+  const { gender, age, height, sittingHeight, weight } = inputs;
+  let required = { age, height, sittingHeight, weight };
+  if (equation === 'moore') {
+    required = gender === 'female' ? { age, height } : { age, sittingHeight };
+  }
+  const missingInputs = Object.keys(required).filter(key => !isNumber(required[key]));
+
+  if (!['male', 'female'].includes(gender)) {
+    missingInputs.unshift('gender');
+  }
+
+  if (missingInputs.length) {
+    return { equation, missingInputs };
+  }
+
+  const offset = MATURITY_EQUATIONS[equation].calculate(inputs);
+
+  return {
+    equation,
+    maturityOffset: round(offset),
+    ageAtPeakHeightVelocity: round(age - offset),
+    status: classifyOffset(offset),
+    missingInputs
+  };
+};
+
+// Khamis-Roche predicted adult height (cm) from current stature (cm), weight
+// (kg) and parental heights (cm)
+const predictAdultHeight = ({ gender, age, height, weight, parentalHeights = {} }) => {
+  const missingInputs = [];
+  if (!['male', 'female'].includes(gender)) missingInputs.push('gender');
+  if (!isNumber(age)) missingInputs.push('age');
+  if (!isNumber(height)) missingInputs.push('height');
+  if (!isNumber(weight)) missingInputs.push('weight');
+  if (!isNumber(parentalHeights.mother)) missingInputs.push('parentalHeights.mother');
+  if (!isNumber(parentalHeights.father)) missingInputs.push('parentalHeights.father');
+
+  if (missingInputs.length) {
+    return { missingInputs };
+  }
+
+  if (!KHAMIS_ROCHE_COEFFICIENTS) {
+    return { missingInputs, unavailableReason: 'Khamis-Roche coefficients are not configured' };
+  }
+
+  const coefficients = KHAMIS_ROCHE_COEFFICIENTS[gender][Math.floor(age * 2) / 2];
+  if (!coefficients) {
+    return { missingInputs, unavailableReason: 'Khamis-Roche prediction covers ages 4 to 17.5' };
+  }
+
+  const midParentHeight = (parentalHeights.mother + parentalHeights.father) / 2;
+  const predictedInches = coefficients.intercept +
+    coefficients.stature * height * INCHES_PER_CM +
+    coefficients.weight * weight * POUNDS_PER_KG +
+    coefficients.midParentStature * midParentHeight * INCHES_PER_CM;
+  const predictedAdultHeight = predictedInches / INCHES_PER_CM;
+  const percentage = height / predictedAdultHeight * 100;
+
+  return {
+    predictedAdultHeight: round(predictedAdultHeight, 1),
+    percentageOfAdultHeight: round(percentage, 1),
+    status: classifyAdultHeightPercentage(percentage),
+    missingInputs
+  };
+};
+
+// Maturity profile of a youth athlete from a measurement with sitting height
+const assessMaturity = (athlete, measurement) => {
+  const age = athlete.getDecimalAge ? athlete.getDecimalAge(measurement.date) : athlete.age;
+  const inputs = {
+    gender: athlete.gender,
+    age,
+    height: measurement.height,
+    sittingHeight: measurement.sittingHeight,
+    weight: measurement.weight
+  };
+
+  return {
+    measurementId: measurement._id,
+    date: measurement.date,
+    age: round(age, 1),
+    mirwald: calculateMaturityOffset(inputs, { equation: 'mirwald' }),
+    moore: calculateMaturityOffset(inputs, { equation: 'moore' }),
+    khamisRoche: predictAdultHeight({ ...inputs, parentalHeights: athlete.parentalHeights || {} })
+  };
+};
+
+module.exports = {
+  YOUTH_MAX_AGE,
+  MATURITY_EQUATIONS,
+  KHAMIS_ROCHE_AGES,
+  KHAMIS_ROCHE_COEFFICIENTS,
+  loadKhamisRocheCoefficients,
+  calculateMaturityOffset,
+  predictAdultHeight,
+  assessMaturity
+}; 
\ No newline at end of file
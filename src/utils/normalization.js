@@ -0,0 +1,52 @@
+const { round, isNumber } = require('./math');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weigh-ins older than this are flagged as stale unless configured otherwise
+const DEFAULT_MAX_WEIGH_IN_AGE_DAYS = 14;
+
+const maxWeighInAgeDays = (value) => {
+  const days = parseFloat(value !== undefined ? value : process.env.MAX_WEIGH_IN_AGE_DAYS);
+  return isNumber(days) && days >= 0 ? days : DEFAULT_MAX_WEIGH_IN_AGE_DAYS;
+};
+
+// Measurement of the same athlete closest in time to a record
+const nearestMeasurement = (record, measurements) => measurements
+  .filter(measurement => String(measurement.userId) === String(record.userId) && isNumber(measurement.weight))
+  .reduce((nearest, measurement) => {
+    const distance = Math.abs(new Date(measurement.date) - new Date(record.date));
+    return !nearest || distance < nearest.distance ? { measurement, distance } : nearest;
+  }, null);
+
+const perKg = (value, mass, factor = 1) => (isNumber(value) && mass > 0 ? round(value * factor / mass) : undefined);
+
+// Power (W/kg) and VO2max (ml/kg/min) relative to body mass and lean mass of
+// the nearest weigh-in. vo2max is stored in L/min.
+const normalizePerformance = (record, measurements, { maxAgeDays = DEFAULT_MAX_WEIGH_IN_AGE_DAYS } = {}) => {
+  const nearest = nearestMeasurement(record, measurements);
+  if (!nearest) {
+    return { stale: true };
+  }
+
+  const { measurement, distance } = nearest;
+  const daysFromMeasurement = distance / DAY_MS;
+
+  return {
+    measurementId: measurement._id,
+    measurementDate: measurement.date,
+    daysFromMeasurement: round(daysFromMeasurement, 1),
+    stale: daysFromMeasurement > maxAgeDays,
+    bodyMass: measurement.weight,
+    leanMass: measurement.leanMass,
+    powerPerKg: perKg(record.power, measurement.weight),
+    powerPerKgLean: perKg(record.power, measurement.leanMass),
+    vo2maxRelative: perKg(record.vo2max, measurement.weight, 1000),
+    vo2maxPerKgLean: perKg(record.vo2max, measurement.leanMass, 1000)
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_WEIGH_IN_AGE_DAYS,
+  maxWeighInAgeDays,
+  normalizePerformance
+}; 
\ No newline at end of file
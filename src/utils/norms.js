@@ -0,0 +1,105 @@
+const { round, mean, standardDeviation, quantile, normalCdf, isNumber } = require('./math');
+
+const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Age bands used when building platform norms
+const AGE_BANDS = [
+  { minAge: 0, maxAge: 13 },
+  { minAge: 14, maxAge: 17 },
+  { minAge: 18, maxAge: 29 },
+  { minAge: 30, maxAge: 44 },
+  { minAge: 45, maxAge: 120 }
+];
+
+// Smallest cohort published from platform data so individuals stay anonymous
+const MIN_COHORT_SIZE = 10;
+
+// Read a dotted path such as 'skinfolds.triceps' from a plain object or document
+const getValue = (source, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  source
+);
+
+// Summary statistics of one variable for a normative table
+const buildVariableNorm = (variable, values) => ({
+  variable,
+  n: values.length,
+  mean: round(mean(values), 3),
+  sd: round(standardDeviation(values), 3),
+  percentiles: PERCENTILES.map(percentile => ({
+    percentile,
+    value: round(quantile(values, percentile / 100), 3)
+  }))
+});
+
+// Percentile rank of a value against a normative variable. Uses the
+// percentile table when present, otherwise assumes a normal distribution.
+const percentileRank = (value, norm) => {
+  const table = [...(norm.percentiles || [])].sort((a, b) => a.percentile - b.percentile);
+
+  if (table.length >= 2) {
+    if (value <= table[0].value) return table[0].percentile;
+    if (value >= table[table.length - 1].value) return table[table.length - 1].percentile;
+
+    const upperIndex = table.findIndex(point => point.value >= value);
+    const lower = table[upperIndex - 1];
+    const upper = table[upperIndex];
+    if (upper.value === lower.value) return upper.percentile;
+    return round(lower.percentile + (value - lower.value) / (upper.value - lower.value) * (upper.percentile - lower.percentile), 1);
+  }
+
+  if (isNumber(norm.mean) && isNumber(norm.sd) && norm.sd > 0) {
+    return round(normalCdf((value - norm.mean) / norm.sd) * 100, 1);
+  }
+
+  return undefined;
+};
+
+// Parse the rows of an uploaded reference table. The first row holds the
+// headers: variable, n, mean, sd and percentile columns named p5, p50, ...
+const parseNormTable = (rows) => {
+  const [header, ...body] = rows;
+  if (!header) {
+    throw new Error('The reference table is empty');
+  }
+
+  const columns = header.map(cell => String(cell || '').trim().toLowerCase());
+  const variableColumn = columns.indexOf('variable');
+  if (variableColumn === -1) {
+    throw new Error('The reference table needs a "variable" column');
+  }
+
+  const numberAt = (row, name) => {
+    const index = columns.indexOf(name);
+    const value = index === -1 ? undefined : parseFloat(row[index]);
+    return Number.isNaN(value) ? undefined : value;
+  };
+
+  const percentileColumns = columns
+    .map((name, index) => ({ match: name.match(/^p(\d+(\.\d+)?)$/), index }))
+    .filter(({ match }) => match)
+    .map(({ match, index }) => ({ percentile: parseFloat(match[1]), index }));
+
+  return body
+    .filter(row => row[variableColumn])
+    .map(row => ({
+      variable: String(row[variableColumn]).trim(),
+      n: numberAt(row, 'n'),
+      mean: numberAt(row, 'mean'),
+      sd: numberAt(row, 'sd'),
+      percentiles: percentileColumns
+        .map(({ percentile, index }) => ({ percentile, value: parseFloat(row[index]) }))
+        .filter(point => !Number.isNaN(point.value))
+    }))
+    .filter(norm => norm.percentiles.length >= 2 || (isNumber(norm.mean) && isNumber(norm.sd)));
+};
+
+module.exports = {
+  PERCENTILES,
+  AGE_BANDS,
+  MIN_COHORT_SIZE,
+  getValue,
+  buildVariableNorm,
+  percentileRank,
+  parseNormTable
+}; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { round, isNumber } = require('./math');
+
+const PHANTOM_HEIGHT = 170.18;
+const PHANTOM_SITTING_HEIGHT = 89.92;
+
+// Ross & Wilson (1974) phantom reference values (p) and standard deviations (s).
+// Skinfolds are in mm, girths and breadths in cm, body mass in kg.
+const PHANTOM = {
+  skinfolds: {
+    triceps: { p: 15.4, s: 4.47 },
+    subscapular: { p: 17.2, s: 5.07 },
+    biceps: { p: 8.0, s: 2.0 },
+    iliac: { p: 22.4, s: 6.80 },
+    supraspinal: { p: 15.4, s: 4.47 },
+    abdominal: { p: 25.4, s: 7.78 },
+    thigh: { p: 27.0, s: 8.33 },
+    calf: { p: 16.0, s: 4.67 }
+  },
+  perimeters: {
+    head: { p: 56.0, s: 1.44 },
+    arm: { p: 26.89, s: 2.33 },
+    flexedArm: { p: 29.41, s: 2.37 },
+    forearm: { p: 25.13, s: 1.41 },
+    chest: { p: 87.86, s: 5.18 },
+    waist: { p: 71.91, s: 4.45 },
+    hip: { p: 94.67, s: 5.58 },
+    thigh: { p: 53.20, s: 4.56 },
+    calf: { p: 35.25, s: 2.30 }
+  },
+  breadths: {
+    biacromial: { p: 38.04, s: 1.92 },
+    biiliocristal: { p: 28.84, s: 1.75 },
+    humerus: { p: 6.48, s: 0.35 },
+    femur: { p: 9.52, s: 0.48 },
+    wrist: { p: 5.21, s: 0.28 },
+    transverseChest: { p: 27.92, s: 1.74 },
+    anteroposteriorChest: { p: 17.50, s: 1.38 }
+  },
+  weight: { p: 64.58, s: 8.60 },
+  sittingHeight: { p: 89.92, s: 4.50 }
+};
+
+// Scale a value to phantom height with its dimensional exponent and
+// return the proportionality Z-score
+const phantomScore = (value, height, { p, s }, exponent = 1) => {
+  const scaled = value * (PHANTOM_HEIGHT / height) ** exponent;
+  return {
+    value,
+    scaled: round(scaled),
+    z: round((scaled - p) / s)
+  };
+};
+
+const scoreGroup = (values = {}, height, references) => Object.entries(references)
+  .filter(([site]) => isNumber(values[site]))
+  .reduce((scores, [site, reference]) => {
+    scores[site] = phantomScore(values[site], height, reference);
+    return scores;
+  }, {});
+
+// Phantom Z-scores for every measured skinfold, girth and breadth
+const calculatePhantomZScores = (measurement) => {
+  const { height, weight, sittingHeight } = measurement;
+  if (!isNumber(height) || height <= 0) {
+    return undefined;
+  }
+
+  return {
+    phantomHeight: PHANTOM_HEIGHT,
+    weight: isNumber(weight) ? phantomScore(weight, height, PHANTOM.weight, 3) : undefined,
+    sittingHeight: isNumber(sittingHeight) ? phantomScore(sittingHeight, height, PHANTOM.sittingHeight) : undefined,
+    skinfolds: scoreGroup(measurement.skinfolds, height, PHANTOM.skinfolds),
+    perimeters: scoreGroup(measurement.perimeters, height, PHANTOM.perimeters),
+    breadths: scoreGroup(measurement.breadths, height, PHANTOM.breadths)
+  };
+};
+
+module.exports = {
+  PHANTOM,
+  PHANTOM_HEIGHT,
+  PHANTOM_SITTING_HEIGHT,
+  calculatePhantomZScores
+}; 
\ No newline at end of file
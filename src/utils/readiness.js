@@ -0,0 +1,184 @@
+const { round, isNumber, mean, sum, standardDeviation } = require('./math');
+const { getValue } = require('./norms');
+const { DAY_MS, dayKey } = require('./workload');
+
+const ROLLING_DAYS = 7;
+const BASELINE_DAYS = 60;
+const MIN_BASELINE_DAYS = 30;
+
+// Days of history needed before the first scored day
+const READINESS_HISTORY_DAYS = BASELINE_DAYS + ROLLING_DAYS;
+
+// Nightly sleep need and the weekly debt (minutes) that scores zero
+const SLEEP_NEED_MINUTES = 480;
+const MAX_SLEEP_DEBT_MINUTES = 600;
+
+const COMPONENT_WEIGHTS = {
+  heartRateVariability: 0.4,
+  restingHeartRate: 0.2,
+  sleep: 0.25,
+  stress: 0.15
+};
+
+const DAILY_FIELDS = ['heartRateVariability', 'restingHeartRate', 'sleep.duration', 'stress'];
+
+const clampScore = (value) => Math.min(Math.max(value, 0), 100);
+
+const readinessStatus = (score) => {
+  if (!isNumber(score)) return undefined;
+  if (score >= 70) return 'green';
+  if (score >= 50) return 'amber';
+  return 'red';
+};
+
+// Mean of each field per calendar day, keyed by day
+const aggregateDailyHealth = (records) => {
+  const days = records.reduce((grouped, record) => {
+    const key = dayKey(record.date);
+    grouped.set(key, [...(grouped.get(key) || []), record]);
+    return grouped;
+  }, new Map());
+
+  return new Map([...days.entries()].map(([key, dayRecords]) => [key, DAILY_FIELDS.reduce((day, field) => {
+    day[field] = mean(dayRecords.map(record => getValue(record, field)).filter(isNumber));
+    return day;
+  }, {})]));
+};
+
+// Values of a field on the days of a window ending the day before `end`
+const windowValues = (days, field, end, length) => {
+  const values = [];
+  for (let offset = 1; offset <= length; offset += 1) {
+    const day = days.get(dayKey(Date.parse(end) - offset * DAY_MS));
+    if (day && isNumber(day[field])) values.push(day[field]);
+  }
+  return values;
+};
+
+// Rolling 7-day mean of ln(HRV) against the 60-day baseline and its smallest
+// worthwhile change (0.5 x SD). Values inside the SWC band score 100.
+const scoreHeartRateVariability = (days, date) => {
+  const logValue = (value) => (value > 0 ? Math.log(value) : undefined);
+  const rolling = [...windowValues(days, 'heartRateVariability', date, ROLLING_DAYS - 1),
+    (days.get(date) || {}).heartRateVariability].map(logValue).filter(isNumber);
+  const baseline = windowValues(days, 'heartRateVariability', date, BASELINE_DAYS).map(logValue).filter(isNumber);
+
+  if (!rolling.length || baseline.length < MIN_BASELINE_DAYS) {
+    return { baselineDays: baseline.length };
+  }
+
+  const rollingMean = mean(rolling);
+  const baselineMean = mean(baseline);
+  const sd = standardDeviation(baseline);
+  const swc = 0.5 * sd;
+  const lower = baselineMean - swc;
+  const upper = baselineMean + swc;
+
+  let trend = 'within';
+  if (rollingMean < lower) trend = 'below';
+  if (rollingMean > upper) trend = 'above';
+
+  return {
+    rollingLnHrv: round(rollingMean, 3),
+    baselineLnHrv: round(baselineMean, 3),
+    baselineSd: round(sd, 3),
+    swc: round(swc, 3),
+    lower: round(lower, 3),
+    upper: round(upper, 3),
+    baselineDays: baseline.length,
+    trend,
+    // Two SDs under the SWC band scores zero
+    score: round(trend === 'below' && sd ? clampScore(100 + (rollingMean - lower) / sd * 50) : 100)
+  };
+};
+
+// Resting HR above the baseline mean, three SDs above scores zero
+const scoreRestingHeartRate = (days, date) => {
+  const value = (days.get(date) || {}).restingHeartRate;
+  const baseline = windowValues(days, 'restingHeartRate', date, BASELINE_DAYS);
+  const sd = standardDeviation(baseline);
+
+  if (!isNumber(value) || baseline.length < MIN_BASELINE_DAYS || !sd) {
+    return { value: round(value), baselineDays: baseline.length };
+  }
+
+  const baselineMean = mean(baseline);
+  const z = (value - baselineMean) / sd;
+
+  return {
+    value: round(value),
+    baseline: round(baselineMean),
+    deviation: round(value - baselineMean),
+    baselineDays: baseline.length,
+    score: round(clampScore(100 - Math.max(z, 0) * 100 / 3))
+  };
+};
+
+// Sleep debt over the last 7 nights with data against the nightly need
+const scoreSleep = (days, date) => {
+  const lastNight = (days.get(date) || {})['sleep.duration'];
+  const nights = [...windowValues(days, 'sleep.duration', date, ROLLING_DAYS - 1), lastNight].filter(isNumber);
+
+  if (!nights.length) {
+    return {};
+  }
+
+  const debt = sum(nights.map(duration => Math.max(SLEEP_NEED_MINUTES - duration, 0)));
+
+  return {
+    lastNight: round(lastNight),
+    nights: nights.length,
+    debt: round(debt),
+    score: round(clampScore(100 - debt / MAX_SLEEP_DEBT_MINUTES * 100))
+  };
+};
+
+const scoreStress = (days, date) => {
+  const value = (days.get(date) || {}).stress;
+  return isNumber(value) ? { value: round(value), score: round(clampScore(100 - value)) } : {};
+};
+
+// Readiness of one day from daily health values, re-weighting the components
+// that could be scored
+const calculateReadiness = (days, date) => {
+  const components = {
+    heartRateVariability: scoreHeartRateVariability(days, date),
+    restingHeartRate: scoreRestingHeartRate(days, date),
+    sleep: scoreSleep(days, date),
+    stress: scoreStress(days, date)
+  };
+
+  const scored = Object.keys(components).filter(component => isNumber(components[component].score));
+  const totalWeight = sum(scored.map(component => COMPONENT_WEIGHTS[component]));
+  const score = scored.length
+    ? round(sum(scored.map(component => components[component].score * COMPONENT_WEIGHTS[component])) / totalWeight)
+    : undefined;
+
+  return {
+    date,
+    score,
+    status: readinessStatus(score),
+    components,
+    missingComponents: Object.keys(components).filter(component => !scored.includes(component))
+  };
+};
+
+// Daily readiness between two dates from raw health records
+const readinessSeries = (records, { startDate, endDate }) => {
+  const days = aggregateDailyHealth(records);
+  const series = [];
+  for (let time = Date.parse(dayKey(startDate)); time <= Date.parse(dayKey(endDate)); time += DAY_MS) {
+    series.push(calculateReadiness(days, dayKey(time)));
+  }
+  return series;
+};
+
+module.exports = {
+  READINESS_HISTORY_DAYS,
+  SLEEP_NEED_MINUTES,
+  COMPONENT_WEIGHTS,
+  readinessStatus,
+  aggregateDailyHealth,
+  calculateReadiness,
+  readinessSeries
+}; 
\ No newline at end of file
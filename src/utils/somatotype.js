@@ -0,0 +1,54 @@
+const { round, isNumber } = require('./math');
+
+// Heath-Carter endomorphy from height corrected triceps + subscapular + supraspinal (mm)
+const calculateEndomorphy = ({ height, skinfolds = {} }) => {
+  const { triceps, subscapular, supraspinal } = skinfolds;
+  if (![height, triceps, subscapular, supraspinal].every(isNumber)) return undefined;
+
+  const x = (triceps + subscapular + supraspinal) * (170.18 / height);
+  return -0.7182 + 0.1451 * x - 0.00068 * x ** 2 + 0.0000014 * x ** 3;
+};
+
+// Heath-Carter mesomorphy from bone breadths (cm) and skinfold corrected girths (cm)
+const calculateMesomorphy = ({ height, skinfolds = {}, perimeters = {}, breadths = {} }) => {
+  const { humerus, femur } = breadths;
+  const { flexedArm, calf } = perimeters;
+  if (![height, humerus, femur, flexedArm, calf, skinfolds.triceps, skinfolds.calf].every(isNumber)) {
+    return undefined;
+  }
+
+  const correctedArm = flexedArm - skinfolds.triceps / 10;
+  const correctedCalf = calf - skinfolds.calf / 10;
+  return 0.858 * humerus + 0.601 * femur + 0.188 * correctedArm + 0.161 * correctedCalf - 0.131 * height + 4.5;
+};
+
+// Heath-Carter ectomorphy from the height-weight ratio
+const calculateEctomorphy = ({ height, weight }) => {
+  if (![height, weight].every(isNumber) || weight <= 0) return undefined;
+
+  const hwr = height / Math.cbrt(weight);
+  if (hwr >= 40.75) return 0.732 * hwr - 28.58;
+  if (hwr > 38.25) return 0.463 * hwr - 17.63;
+  return 0.1;
+};
+
+// Heath-Carter anthropometric somatotype with somatochart coordinates.
+// Components that cannot be computed are left undefined.
+const calculateSomatotype = (measurement) => {
+  const endomorphy = calculateEndomorphy(measurement);
+  const mesomorphy = calculateMesomorphy(measurement);
+  const ectomorphy = calculateEctomorphy(measurement);
+  const complete = [endomorphy, mesomorphy, ectomorphy].every(isNumber);
+
+  return {
+    endomorphy: round(endomorphy),
+    mesomorphy: round(mesomorphy),
+    ectomorphy: round(ectomorphy),
+    x: complete ? round(ectomorphy - endomorphy) : undefined,
+    y: complete ? round(2 * mesomorphy - (endomorphy + ectomorphy)) : undefined
+  };
+};
+
+module.exports = {
+  calculateSomatotype
+}; 
\ No newline at end of file
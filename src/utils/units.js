@@ -0,0 +1,265 @@
+const { round, isNumber } = require('./math');
+const { GOAL_METRICS } = require('./goals');
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Labels per unit system and the factor converting metric to imperial.
+// Quantities without a factor are reported in the same unit in both systems.
+const QUANTITIES = {
+  mass: { metric: 'kg', imperial: 'lb', factor: 2.20462262 },
+  length: { metric: 'cm', imperial: 'in', factor: 1 / 2.54 },
+  speed: { metric: 'km/h', imperial: 'mph', factor: 0.621371192 },
+  distance: { metric: 'km', imperial: 'mi', factor: 0.621371192 },
+  volume: { metric: 'L', imperial: 'L' },
+  density: { metric: 'g/cm3', imperial: 'g/cm3' },
+  skinfold: { metric: 'mm', imperial: 'mm' },
+  percentage: { metric: '%', imperial: '%' },
+  oxygenUptake: { metric: 'L/min', imperial: 'L/min' },
+  relativeOxygenUptake: { metric: 'ml/kg/min', imperial: 'ml/kg/min' },
+  power: { metric: 'W', imperial: 'W' },
+  relativePower: { metric: 'W/kg', imperial: 'W/kg' },
+  load: { metric: 'AU', imperial: 'AU' },
+  duration: { metric: 'min', imperial: 'min' },
+  heartRate: { metric: 'bpm', imperial: 'bpm' },
+  heartRateVariability: { metric: 'ms', imperial: 'ms' },
+  score: { metric: '0-100', imperial: '0-100' },
+  count: { metric: 'count', imperial: 'count' }
+};
+
+// Quantity of every unit-bearing field per resource, '*' matches any key
+const RESOURCE_FIELDS = {
+  anthropometric: {
+    weight: 'mass',
+    height: 'length',
+    sittingHeight: 'length',
+    leanMass: 'mass',
+    bodyFatPercentage: 'percentage',
+    'skinfolds.*': 'skinfold',
+    'perimeters.*': 'length',
+    'breadths.*': 'length',
+    'derived.fatMass': 'mass',
+    'derived.correctedArmGirth': 'length',
+    'derived.correctedThighGirth': 'length',
+    'derived.correctedCalfGirth': 'length',
+    'fractionation.*.mass': 'mass',
+    'fractionation.predictedMass': 'mass',
+    'fractionation.massDifference': 'mass'
+  },
+  bodyComposition: {
+    weight: 'mass',
+    fatMass: 'mass',
+    leanMass: 'mass',
+    boneMineralContent: 'mass',
+    bodyFatPercentage: 'percentage',
+    'regional.*.fatMass': 'mass',
+    'regional.*.leanMass': 'mass',
+    'regional.*.boneMineralContent': 'mass',
+    bodyVolume: 'volume',
+    bodyDensity: 'density',
+    thoracicGasVolume: 'volume',
+    totalBodyWater: 'volume',
+    extracellularWater: 'volume'
+  },
+  goal: {},
+  performance: {
+    vo2max: 'oxygenUptake',
+    'vo2maxEstimate.relative': 'relativeOxygenUptake',
+    'vo2maxEstimate.bodyMass': 'mass',
+    power: 'power',
+    speed: 'speed',
+    trainingLoad: 'load',
+    'activity.duration': 'duration',
+    'activity.distance': 'distance',
+    'activity.maxSpeed': 'speed',
+    'activity.avgHeartRate': 'heartRate',
+    'activity.maxHeartRate': 'heartRate',
+    'activity.maxPower': 'power',
+    'activity.normalizedPower': 'power',
+    'normalized.bodyMass': 'mass',
+    'normalized.leanMass': 'mass',
+    'normalized.powerPerKg': 'relativePower',
+    'normalized.powerPerKgLean': 'relativePower',
+    'normalized.vo2maxRelative': 'relativeOxygenUptake',
+    'normalized.vo2maxPerKgLean': 'relativeOxygenUptake'
+  },
+  user: {
+    'parentalHeights.mother': 'length',
+    'parentalHeights.father': 'length',
+    'maturity.khamisRoche.predictedAdultHeight': 'length'
+  },
+  health: {
+    'sleep.duration': 'duration',
+    'sleep.deepSleep': 'duration',
+    'sleep.lightSleep': 'duration',
+    'sleep.remSleep': 'duration',
+    'sleep.quality': 'score',
+    stress: 'score',
+    restingHeartRate: 'heartRate',
+    heartRateVariability: 'heartRateVariability',
+    steps: 'count',
+    bodyMass: 'mass'
+  }
+};
+
+// Repeated readings carry the unit of their site group
+const convertReadings = (document, convert) => {
+  (document.readings || []).forEach(reading => {
+    if (!reading || reading.group === 'skinfolds') return;
+    if (Array.isArray(reading.values)) {
+      reading.values = reading.values.map(value => convert('length', value));
+    }
+    if (reading.value !== undefined) {
+      reading.value = convert('length', reading.value);
+    }
+  });
+};
+
+// Changes between sessions carry the unit of the compared site
+const convertChange = (entry, convert) => {
+  if (!/^(perimeters|breadths)\./.test(entry.variable)) return;
+  ['previous', 'current', 'change', 'mdc'].forEach(key => {
+    if (isNumber(entry[key])) {
+      entry[key] = convert('length', entry[key]);
+    }
+  });
+};
+
+const convertChanges = (document, convert) => {
+  [document.changeFromPrevious, document.comparison].forEach(changes => {
+    ((changes && changes.variables) || []).forEach(entry => convertChange(entry, convert));
+  });
+};
+
+// Goal values carry the unit of the goal's metric
+const GOAL_VALUE_PATHS = ['targetValue', 'startValue', 'maxWeeklyChange', 'progress.startValue',
+  'progress.currentValue', 'progress.remaining', 'progress.trendPerWeek', 'progress.maxWeeklyChange',
+  'progress.requiredRatePerWeek'];
+
+const convertGoal = (document, convert) => {
+  const metric = GOAL_METRICS[document.metric];
+  if (!metric || !metric.quantity) return;
+  GOAL_VALUE_PATHS.forEach(path => {
+    applyToPath(document, path.split('.'), value => convert(metric.quantity, value));
+  });
+};
+
+// Test results carry the unit of their catalog test, the few that have an
+// imperial counterpart are converted and relabelled
+const TEST_UNIT_QUANTITIES = {
+  kg: 'mass',
+  cm: 'length',
+  km: 'distance',
+  'km/h': 'speed'
+};
+
+const testResultQuantity = (test) => test && TEST_UNIT_QUANTITIES[test.unit];
+
+const convertTestResult = (result, test, convert) => {
+  const quantity = testResultQuantity(test);
+  if (!result || !quantity) return;
+  if (Array.isArray(result.attempts)) {
+    result.attempts = result.attempts.map(value => (toNumber(value) !== undefined ? convert(quantity, toNumber(value)) : value));
+  }
+  applyToPath(result, ['value'], value => convert(quantity, value));
+};
+
+// Responses carry the populated test, whose unit is relabelled as well
+const convertTestResults = (document, convert, system) => {
+  (document.results || []).forEach(result => {
+    const test = result && result.testId;
+    if (!test || typeof test !== 'object' || !test.unit) return;
+    const quantity = testResultQuantity(test);
+    convertTestResult(result, test, convert);
+    if (quantity) {
+      test.unit = QUANTITIES[quantity][system];
+    }
+  });
+};
+
+const RESOURCE_CONVERTERS = {
+  anthropometric: (document, convert) => {
+    convertReadings(document, convert);
+    convertChanges(document, convert);
+  },
+  goal: convertGoal,
+  performance: convertTestResults
+};
+
+const toNumber = (value) => {
+  if (isNumber(value)) return value;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return undefined;
+};
+
+const applyToPath = (target, segments, fn) => {
+  if (!target || typeof target !== 'object') return;
+
+  const [head, ...rest] = segments;
+  const keys = head === '*' ? Object.keys(target) : [head];
+
+  keys.forEach(key => {
+    if (!(key in target)) return;
+    if (rest.length) {
+      applyToPath(target[key], rest, fn);
+    } else if (toNumber(target[key]) !== undefined) {
+      target[key] = fn(toNumber(target[key]));
+    }
+  });
+};
+
+// Convert the unit-bearing fields of a plain object in place
+const convertFields = (document, resource, convert, system) => {
+  Object.entries(RESOURCE_FIELDS[resource]).forEach(([path, quantity]) => {
+    applyToPath(document, path.split('.'), value => convert(quantity, value));
+  });
+  if (RESOURCE_CONVERTERS[resource]) {
+    RESOURCE_CONVERTERS[resource](document, convert, system);
+  }
+  return document;
+};
+
+// Convert client input in the given unit system to canonical metric values
+const toMetric = (document, resource, system) => {
+  if (system === 'metric') return document;
+  return convertFields(document, resource, (quantity, value) => {
+    const { factor } = QUANTITIES[quantity];
+    return factor ? value / factor : value;
+  }, system);
+};
+
+// Convert a stored document to the given unit system for a response
+const fromMetric = (document, resource, system) => {
+  const plain = document && typeof document.toJSON === 'function'
+    ? document.toJSON()
+    : JSON.parse(JSON.stringify(document));
+
+  if (system === 'metric') return plain;
+  return convertFields(plain, resource, (quantity, value) => {
+    const { factor } = QUANTITIES[quantity];
+    return factor ? round(value * factor) : value;
+  }, system);
+};
+
+// Convert a result recorded against a catalog test to canonical metric values
+const testResultToMetric = (result, test, system) => {
+  if (system === 'metric') return result;
+  convertTestResult(result, test, (quantity, value) => value / QUANTITIES[quantity].factor);
+  return result;
+};
+
+// Unit labels of a resource's fields in the given unit system
+const unitLabels = (resource, system) => Object.entries(RESOURCE_FIELDS[resource])
+  .reduce((labels, [path, quantity]) => {
+    labels[path] = QUANTITIES[quantity][system];
+    return labels;
+  }, {});
+
+module.exports = {
+  UNIT_SYSTEMS,
+  QUANTITIES,
+  RESOURCE_FIELDS,
+  toMetric,
+  fromMetric,
+  testResultToMetric,
+  unitLabels
+}; 
\ No newline at end of file
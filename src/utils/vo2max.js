@@ -0,0 +1,97 @@
+const { round, isNumber } = require('./math');
+
+const POUNDS_PER_KG = 2.20462262;
+
+const sexCode = (gender) => ({ male: 1, female: 0 })[gender];
+
+// 20 m shuttle speed (km/h) of a Léger stage, 8.5 km/h at stage 1 rising 0.5 per stage
+const shuttleSpeed = ({ speed, stage }) => (isNumber(speed) ? speed : 8 + 0.5 * stage);
+
+// Field tests estimating VO2max (ml/kg/min). Each lists the raw results it
+// needs and the athlete details its equation uses.
+const FIELD_TESTS = {
+  cooper: {
+    name: 'Cooper 12-minute run',
+    equation: 'Cooper (1968)',
+    inputs: ['distance'],
+    athleteInputs: [],
+    calculate: ({ distance }) => (distance - 504.9) / 44.73
+  },
+  leger: {
+    name: '20 m multistage shuttle run',
+    equation: 'Léger et al. (1988)',
+    inputs: ['stage'],
+    athleteInputs: ['age'],
+    // Adults use speed alone, children and adolescents (6-17) also age
+    calculate: (inputs, { age }) => {
+      const speed = shuttleSpeed(inputs);
+      return age >= 18
+        ? -24.4 + 6.0 * speed
+        : 31.025 + 3.238 * speed - 3.248 * age + 0.1536 * age * speed;
+    }
+  },
+  yo_yo_ir1: {
+    name: 'Yo-Yo intermittent recovery test level 1',
+    equation: 'Bangsbo et al. (2008)',
+    inputs: ['distance'],
+    athleteInputs: [],
+    calculate: ({ distance }) => distance * 0.0084 + 36.4
+  },
+  rockport: {
+    name: 'Rockport 1-mile walk',
+    equation: 'Kline et al. (1987)',
+    inputs: ['time', 'heartRate'],
+    athleteInputs: ['age', 'gender', 'weight'],
+    calculate: ({ time, heartRate }, { age, gender, weight }) => 132.853 -
+      0.0769 * weight * POUNDS_PER_KG - 0.3877 * age + 6.315 * sexCode(gender) -
+      3.2649 * time - 0.1565 * heartRate
+  },
+  run_1_5_mile: {
+    name: '1.5-mile run',
+    equation: 'George et al. (1993)',
+    inputs: ['time'],
+    athleteInputs: ['gender', 'weight'],
+    calculate: ({ time }, { gender, weight }) => 88.02 + 3.716 * sexCode(gender) -
+      0.0753 * weight * POUNDS_PER_KG - 2.767 * time
+  }
+};
+
+// Estimate VO2max from a field test. Distances are in metres, times in
+// minutes, heart rate in bpm and body mass in kg. The absolute value (L/min)
+// is only given when body mass is known.
+const estimateVo2max = (test, inputs = {}, athlete = {}) => {
+  const definition = FIELD_TESTS[test];
+  const estimate = {
+    test,
+    equation: definition.equation,
+    inputs,
+    bodyMass: athlete.weight,
+    missingInputs: []
+  };
+
+  definition.inputs.forEach(input => {
+    // The shuttle stage can be replaced by the final speed
+    const value = test === 'leger' && input === 'stage' && isNumber(inputs.speed) ? inputs.speed : inputs[input];
+    if (!isNumber(value)) estimate.missingInputs.push(input);
+  });
+  definition.athleteInputs.forEach(input => {
+    const valid = input === 'gender' ? sexCode(athlete.gender) !== undefined : isNumber(athlete[input]);
+    if (!valid) estimate.missingInputs.push(input);
+  });
+
+  if (estimate.missingInputs.length) {
+    return estimate;
+  }
+
+  const relative = definition.calculate(inputs, athlete);
+  estimate.relative = round(relative, 1);
+  if (isNumber(athlete.weight)) {
+    estimate.absolute = round(relative * athlete.weight / 1000);
+  }
+  return estimate;
+};
+
+module.exports = {
+  FIELD_TESTS,
+  estimateVo2max
+}; 
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { round, isNumber, mean, sum, standardDeviation } = require('./math');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+
+// Days of history loaded before a range so chronic loads are warmed up
+const WORKLOAD_HISTORY_DAYS = 2 * CHRONIC_DAYS;
+
+const RISK_ZONES = ['low', 'optimal', 'high', 'very_high'];
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Risk zone of an acute:chronic workload ratio, 0.8-1.3 being the sweet spot
+const riskZone = (acwr) => {
+  if (!isNumber(acwr)) return undefined;
+  if (acwr < 0.8) return 'low';
+  if (acwr <= 1.3) return 'optimal';
+  if (acwr <= 1.5) return 'high';
+  return 'very_high';
+};
+
+// Sum loads per calendar day (UTC) filling days without training with zero
+const aggregateDailyLoads = (entries, { startDate, endDate } = {}) => {
+  const totals = entries.reduce((days, { date, load }) => {
+    if (!isNumber(load)) return days;
+    const key = dayKey(date);
+    days.set(key, (days.get(key) || 0) + load);
+    return days;
+  }, new Map());
+
+  const keys = [...totals.keys()].sort();
+  const first = startDate ? dayKey(startDate) : keys[0];
+  const last = endDate ? dayKey(endDate) : keys[keys.length - 1];
+  if (!first || !last) return [];
+
+  const days = [];
+  for (let time = Date.parse(first); time <= Date.parse(last); time += DAY_MS) {
+    const key = dayKey(time);
+    days.push({ date: key, load: totals.get(key) || 0 });
+  }
+  return days;
+};
+
+const ewmaStep = (previous, load, days) => {
+  const lambda = 2 / (days + 1);
+  return previous === undefined ? load : load * lambda + (1 - lambda) * previous;
+};
+
+const ratio = (acute, chronic) => (isNumber(acute) && chronic > 0 ? acute / chronic : undefined);
+
+// Acute and chronic loads as rolling averages and exponentially weighted moving
+// averages (Williams et al. 2017), with the ACWR and risk zone of each day.
+// The zone follows the chosen model, 'ewma' or 'rolling'.
+const calculateWorkload = (dailyLoads, { model = 'ewma' } = {}) => {
+  let acuteEwma;
+  let chronicEwma;
+
+  return dailyLoads.map((day, index) => {
+    const window = (days) => (index + 1 >= days ? dailyLoads.slice(index + 1 - days, index + 1).map(entry => entry.load) : undefined);
+    const acuteWindow = window(ACUTE_DAYS);
+    const chronicWindow = window(CHRONIC_DAYS);
+
+    acuteEwma = ewmaStep(acuteEwma, day.load, ACUTE_DAYS);
+    chronicEwma = ewmaStep(chronicEwma, day.load, CHRONIC_DAYS);
+
+    const acuteRolling = acuteWindow && mean(acuteWindow);
+    const chronicRolling = chronicWindow && mean(chronicWindow);
+    const acwrRolling = ratio(acuteRolling, chronicRolling);
+    // EWMA ratios are only reported once a full chronic period has elapsed
+    const acwrEwma = index + 1 >= CHRONIC_DAYS ? ratio(acuteEwma, chronicEwma) : undefined;
+    const zone = riskZone(model === 'rolling' ? acwrRolling : acwrEwma);
+
+    return {
+      date: day.date,
+      load: round(day.load),
+      acuteRolling: round(acuteRolling),
+      chronicRolling: round(chronicRolling),
+      acwrRolling: round(acwrRolling),
+      acuteEwma: round(acuteEwma),
+      chronicEwma: round(chronicEwma),
+      acwrEwma: round(acwrEwma),
+      zone,
+      outsideSweetSpot: zone !== undefined && zone !== 'optimal'
+    };
+  });
+};
+
+// Monday (UTC) of the week a day belongs to
+const weekStart = (date) => {
+  const day = new Date(dayKey(date));
+  return dayKey(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+// Foster's weekly load, monotony (mean / SD of daily loads, rest days
+// included) and strain (weekly load x monotony) from zero-filled daily loads
+const calculateWeeklyLoads = (dailyLoads) => {
+  const weeks = dailyLoads.reduce((grouped, day) => {
+    const key = weekStart(day.date);
+    grouped.set(key, [...(grouped.get(key) || []), day.load]);
+    return grouped;
+  }, new Map());
+
+  return [...weeks.entries()].map(([week, loads]) => {
+    const weeklyLoad = sum(loads);
+    const sd = standardDeviation(loads);
+    const monotony = sd ? mean(loads) / sd : undefined;
+
+    return {
+      weekStart: week,
+      days: loads.length,
+      weeklyLoad: round(weeklyLoad),
+      monotony: round(monotony),
+      strain: round(isNumber(monotony) ? weeklyLoad * monotony : undefined)
+    };
+  });
+};
+
+module.exports = {
+  ACUTE_DAYS,
+  CHRONIC_DAYS,
+  WORKLOAD_HISTORY_DAYS,
+  RISK_ZONES,
+  DAY_MS,
+  dayKey,
+  riskZone,
+  aggregateDailyLoads,
+  calculateWorkload,
+  weekStart,
+  calculateWeeklyLoads
+}; 
\ No newline at end of file